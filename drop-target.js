@@ -0,0 +1,151 @@
+#!/usr/bin/env -S gjs -m
+// Obision Desk drop target
+//
+// GNOME Shell learns where a drag between applications is, but never what it
+// carries. The extension runs this helper, which covers each desktop grid
+// with a transparent window while such a drag is in progress and reports the
+// files dropped on it. Commands are read from stdin, one per line:
+//
+//   show <count>  map a window for each of the first <count> grids
+//   hide          unmap the windows
+//
+// Each drop is written to stdout as a JSON line:
+//
+//   {"grid": 0, "x": 120, "y": 48, "uris": ["file:///..."], "action": "move"}
+//
+// The helper exits when the extension closes stdin.
+
+import Gdk from 'gi://Gdk?version=4.0';
+import Gio from 'gi://Gio';
+import GioUnix from 'gi://GioUnix';
+import GLib from 'gi://GLib';
+import Gtk from 'gi://Gtk?version=4.0';
+
+// The extension finds its windows by this title followed by the grid index
+const WINDOW_TITLE_PREFIX = 'obision-desk-drop-';
+
+const desktopDir = Gio.File.new_for_path(
+    GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_DESKTOP) ?? GLib.get_home_dir()
+);
+const windows = [];
+const loop = new GLib.MainLoop(null, false);
+
+function getFilesystem(file) {
+    const info = file.query_info('id::filesystem', Gio.FileQueryInfoFlags.NONE, null);
+    return info.get_attribute_string('id::filesystem');
+}
+
+/**
+ * The action used when no modifier is held: like Nautilus, files on the
+ * Desktop's file system are moved and all others copied
+ * Ctrl and Shift make the compositor pick copy or move instead.
+ */
+function getDefaultAction(files) {
+    try {
+        const desktopFilesystem = getFilesystem(desktopDir);
+        const local = files.every(
+            file => file.is_native() && getFilesystem(file) === desktopFilesystem
+        );
+        return local ? Gdk.DragAction.MOVE : Gdk.DragAction.COPY;
+    } catch (e) {
+        return Gdk.DragAction.COPY;
+    }
+}
+
+function createWindow(index) {
+    const window = new Gtk.Window({
+        title: `${WINDOW_TITLE_PREFIX}${index}`,
+        decorated: false,
+        css_classes: ['obision-desk-drop'],
+    });
+
+    // The files are loaded as soon as the drag enters, so the default
+    // action can depend on where they are
+    const target = new Gtk.DropTarget({
+        actions: Gdk.DragAction.COPY | Gdk.DragAction.MOVE,
+        preload: true,
+    });
+    target.set_gtypes([Gdk.FileList.$gtype]);
+
+    let defaultAction = Gdk.DragAction.COPY;
+    target.connect('notify::value', () => {
+        const files = target.value?.get_files() ?? [];
+        defaultAction = files.length > 0 ? getDefaultAction(files) : Gdk.DragAction.COPY;
+    });
+    target.connect('enter', () => defaultAction);
+    target.connect('motion', () => defaultAction);
+
+    target.connect('drop', (_target, value, x, y) => {
+        // The drop carries the single action the compositor settled on
+        const actions = target.get_current_drop().get_actions();
+        const drop = {
+            grid: index,
+            x: Math.round(x),
+            y: Math.round(y),
+            uris: value.get_files().map(file => file.get_uri()),
+            action: actions & Gdk.DragAction.MOVE ? 'move' : 'copy',
+        };
+        print(JSON.stringify(drop));
+        return true;
+    });
+
+    window.add_controller(target);
+    return window;
+}
+
+function handleCommand(line) {
+    const [command, argument] = line.trim().split(' ');
+    if (command === 'show') {
+        const count = Number(argument) || 0;
+        while (windows.length < count) {
+            windows.push(createWindow(windows.length));
+        }
+        windows.forEach((window, index) => {
+            if (index < count) {
+                window.present();
+            } else {
+                window.set_visible(false);
+            }
+        });
+    } else if (command === 'hide') {
+        for (const window of windows) {
+            window.set_visible(false);
+        }
+    }
+}
+
+function readCommands(stream) {
+    stream.read_line_async(GLib.PRIORITY_DEFAULT, null, (_stream, result) => {
+        let line = null;
+        try {
+            [line] = stream.read_line_finish_utf8(result);
+        } catch (e) {
+            printerr(`obision-desk-drop: ${e.message}`);
+        }
+
+        // The extension is gone
+        if (line === null) {
+            loop.quit();
+            return;
+        }
+        handleCommand(line);
+        readCommands(stream);
+    });
+}
+
+Gtk.init();
+
+const provider = new Gtk.CssProvider();
+provider.load_from_string('window.obision-desk-drop { background: none; }');
+Gtk.StyleContext.add_provider_for_display(
+    Gdk.Display.get_default(),
+    provider,
+    Gtk.STYLE_PROVIDER_PRIORITY_APPLICATION
+);
+
+readCommands(
+    new Gio.DataInputStream({
+        base_stream: new GioUnix.InputStream({ fd: 0, close_fd: false }),
+    })
+);
+loop.run();
@@ -19,10 +19,41 @@ import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
 import * as ModalDialog from 'resource:///org/gnome/shell/ui/modalDialog.js';
 import * as Dialog from 'resource:///org/gnome/shell/ui/dialog.js';
+import * as CheckBox from 'resource:///org/gnome/shell/ui/checkBox.js';
 import * as ExtensionUtils from 'resource:///org/gnome/shell/misc/extensionUtils.js';
 import Shell from 'gi://Shell';
 import Meta from 'gi://Meta';
 
+Gio._promisify(Gio.File.prototype, 'enumerate_children_async');
+Gio._promisify(Gio.File.prototype, 'query_info_async');
+Gio._promisify(Gio.File.prototype, 'load_bytes_async');
+Gio._promisify(Gio.File.prototype, 'set_display_name_async');
+Gio._promisify(Gio.File.prototype, 'read_async');
+Gio._promisify(Gio.File.prototype, 'delete_async');
+Gio._promisify(Gio.File.prototype, 'copy_async');
+Gio._promisify(Gio.File.prototype, 'move_async');
+Gio._promisify(Gio.File.prototype, 'make_directory_async');
+Gio._promisify(Gio.File.prototype, 'trash_async');
+Gio._promisify(Gio.File.prototype, 'set_attributes_async');
+Gio._promisify(Gio.FileEnumerator.prototype, 'next_files_async');
+Gio._promisify(Gio.FileEnumerator.prototype, 'close_async');
+Gio._promisify(Gio.InputStream.prototype, 'read_bytes_async');
+Gio._promisify(Gio.InputStream.prototype, 'close_async');
+Gio._promisify(Gio.DataInputStream.prototype, 'read_line_async', 'read_line_finish_utf8');
+Gio._promisify(Gio.Subprocess.prototype, 'wait_async');
+Gio._promisify(Gio.DBusConnection.prototype, 'call');
+
+// GnomeDesktop is optional: without it thumbnails are only read from the cache
+let GnomeDesktop = null;
+try {
+    GnomeDesktop = (await import('gi://GnomeDesktop?version=4.0')).default;
+    Gio._promisify(GnomeDesktop.DesktopThumbnailFactory.prototype, 'generate_thumbnail_async');
+    Gio._promisify(GnomeDesktop.DesktopThumbnailFactory.prototype, 'save_thumbnail_async');
+    Gio._promisify(GnomeDesktop.DesktopThumbnailFactory.prototype, 'create_failed_thumbnail_async');
+} catch (e) {
+    log(`[Obision] GnomeDesktop not available, thumbnails will not be generated: ${e}`);
+}
+
 // Icon sizes based on cell count (cols x rows)
 // Base icon size fits in 1 cell, larger icons span multiple cells
 // Format: 'WxH' where W=columns, H=rows
@@ -52,6 +83,215 @@ const LABEL_HEIGHT = 40;
 // Padding inside each cell (percentage of cell size)
 const CELL_PADDING_RATIO = 0.15;
 
+// How many cells away a drop may be nudged when the target collides
+const DROP_FALLBACK_RADIUS = 2;
+
+// Delay used to batch file monitor events into one update (ms)
+const FILE_EVENTS_DELAY = 200;
+
+// Recently trashed items offered for restore in the Trash icon menu
+const TRASH_RECENT_LIMIT = 10;
+
+// File operations still running after this long show a progress overlay (ms)
+const FILE_OPERATION_PROGRESS_DELAY = 500;
+
+// The drop target windows stay up this long after a drag from another
+// application ends, while the drop is delivered to them (ms)
+const EXTERNAL_DROP_HIDE_DELAY = 300;
+
+// Unexpected exits of the drop-target.js helper after which drops from
+// other applications are turned off for the session
+const EXTERNAL_DROP_HELPER_RESTARTS = 3;
+
+// Title of the drop-target.js windows, followed by their grid index
+const DROP_WINDOW_TITLE_PREFIX = 'obision-desk-drop-';
+
+// Attributes queried for every desktop item
+const FILE_ATTRIBUTES =
+    'standard::*,time::modified,thumbnail::*,metadata::trusted,access::can-execute,unix::mode';
+
+// Freedesktop thumbnail sizes, smallest first; the first one at least as
+// large as the icon is used
+const THUMBNAIL_SIZES = [
+    {
+        name: 'NORMAL',
+        pixels: 128,
+        pathAttribute: 'thumbnail::path-normal',
+        validAttribute: 'thumbnail::is-valid-normal',
+    },
+    {
+        name: 'LARGE',
+        pixels: 256,
+        pathAttribute: 'thumbnail::path-large',
+        validAttribute: 'thumbnail::is-valid-large',
+    },
+    {
+        name: 'XLARGE',
+        pixels: 512,
+        pathAttribute: 'thumbnail::path-xlarge',
+        validAttribute: 'thumbnail::is-valid-xlarge',
+    },
+    {
+        name: 'XXLARGE',
+        pixels: 1024,
+        pathAttribute: 'thumbnail::path-xxlarge',
+        validAttribute: 'thumbnail::is-valid-xxlarge',
+    },
+];
+
+// Smallest span (cols and rows) at which a widget tile shows live content
+const WIDGET_MIN_CELLS = 2;
+
+// Bytes read from a text file for its widget preview
+const WIDGET_TEXT_BYTES = 4096;
+
+// Height of one entry in a folder widget listing (px)
+const WIDGET_ENTRY_HEIGHT = 22;
+
+// Delay before a folder widget re-reads its listing after a change (ms)
+const WIDGET_REFRESH_DELAY = 500;
+
+// Notification levels, from least to most intrusive
+const NOTIFICATION_LEVELS = ['silent', 'subtle', 'normal', 'attention', 'critical'];
+
+// How long a notification stays when no duration is given (ms, 0 = until dismissed)
+const NOTIFICATION_DURATIONS = {
+    silent: 0,
+    subtle: 0,
+    normal: 8000,
+    attention: 15000,
+    critical: 0,
+};
+
+// Half period of the notification pulse animation (ms)
+const NOTIFY_PULSE_DURATION = 600;
+
+// Background styles an icon can have
+const ICON_BACKGROUNDS = ['none', 'light', 'dark', 'accent'];
+
+// D-Bus name and object path of the desktop API
+const DBUS_NAME = 'com.obision.DeskGrid';
+const DBUS_PATH = '/com/obision/DeskGrid';
+
+const DBUS_INTERFACE_XML = `
+<node>
+  <interface name="com.obision.DeskGrid">
+    <method name="Notify">
+      <arg type="s" name="fileName" direction="in"/>
+      <arg type="a{sv}" name="options" direction="in"/>
+      <arg type="b" name="found" direction="out"/>
+    </method>
+    <method name="Dismiss">
+      <arg type="s" name="fileName" direction="in"/>
+    </method>
+    <method name="DismissAll"/>
+    <method name="ListIcons">
+      <arg type="a(siiii)" name="icons" direction="out"/>
+    </method>
+    <method name="GetIconCell">
+      <arg type="s" name="fileName" direction="in"/>
+      <arg type="i" name="col" direction="out"/>
+      <arg type="i" name="row" direction="out"/>
+    </method>
+    <method name="GetIconSize">
+      <arg type="s" name="fileName" direction="in"/>
+      <arg type="i" name="cols" direction="out"/>
+      <arg type="i" name="rows" direction="out"/>
+    </method>
+    <method name="PlaceIcon">
+      <arg type="s" name="fileName" direction="in"/>
+      <arg type="i" name="col" direction="in"/>
+      <arg type="i" name="row" direction="in"/>
+    </method>
+    <method name="SetIconSize">
+      <arg type="s" name="fileName" direction="in"/>
+      <arg type="s" name="size" direction="in"/>
+    </method>
+    <method name="SetIconElevation">
+      <arg type="s" name="fileName" direction="in"/>
+      <arg type="i" name="level" direction="in"/>
+    </method>
+    <method name="SetIconBackground">
+      <arg type="s" name="fileName" direction="in"/>
+      <arg type="s" name="style" direction="in"/>
+    </method>
+    <method name="SetIconWidget">
+      <arg type="s" name="fileName" direction="in"/>
+      <arg type="b" name="enabled" direction="in"/>
+    </method>
+    <signal name="IconMoved">
+      <arg type="s" name="fileName"/>
+      <arg type="i" name="col"/>
+      <arg type="i" name="row"/>
+    </signal>
+    <signal name="IconActivated">
+      <arg type="s" name="fileName"/>
+    </signal>
+  </interface>
+</node>`;
+
+// Number of directory entries read per batch while loading the desktop
+const ENUMERATE_BATCH_SIZE = 100;
+
+// File info attribute holding the parsed Gio.DesktopAppInfo of a .desktop file
+const DESKTOP_APP_INFO_ATTRIBUTE = 'obision::desktop-app-info';
+
+// Typed characters are combined into one search while keys come faster than this (ms)
+const TYPE_AHEAD_TIMEOUT = 1000;
+
+// Number of actions kept for undo
+const UNDO_LIMIT = 50;
+
+// Accelerator modifiers understood in the undo/redo shortcut settings
+const SHORTCUT_MODIFIERS = {
+    control: Clutter.ModifierType.CONTROL_MASK,
+    primary: Clutter.ModifierType.CONTROL_MASK,
+    shift: Clutter.ModifierType.SHIFT_MASK,
+    alt: Clutter.ModifierType.MOD1_MASK,
+    super: Clutter.ModifierType.SUPER_MASK,
+};
+
+// Settings keys holding per-icon JSON maps keyed by file name
+const ICON_METADATA_KEYS = [
+    'icon-positions',
+    'custom-icon-sizes',
+    'icon-elevations',
+    'icon-backgrounds',
+    'icon-widgets',
+];
+
+// Keys accepted by the sort-by setting and their menu labels
+const SORT_KEY_LABELS = {
+    name: 'Name',
+    modified: 'Modified',
+    size: 'Size',
+    type: 'Type',
+};
+
+// Arrow key to cell offset for keyboard navigation
+const ARROW_KEY_DIRECTIONS = {
+    [Clutter.KEY_Left]: [-1, 0],
+    [Clutter.KEY_Right]: [1, 0],
+    [Clutter.KEY_Up]: [0, -1],
+    [Clutter.KEY_Down]: [0, 1],
+};
+
+// Clipboard format Nautilus uses for copied and cut files
+const COPIED_FILES_MIME_TYPE = 'x-special/gnome-copied-files';
+
+/**
+ * Show a keyboard shortcut at the end of a menu item
+ */
+function addAcceleratorHint(item, text) {
+    item.add_child(
+        new St.Label({
+            text,
+            style: 'font-size: 0.9em; color: rgba(255,255,255,0.5);',
+            y_align: Clutter.ActorAlign.CENTER,
+        })
+    );
+}
+
 /**
  * Represents a single desktop icon
  */
@@ -96,6 +336,13 @@ const DesktopIcon = GObject.registerClass(
             // Apply background style to the main widget
             this._applyBackgroundStyle();
 
+            // Stop live content loads, monitors and notifications with the icon
+            this._notification = null;
+            this.connect('destroy', () => {
+                this._clearWidgetContent();
+                this._clearNotification();
+            });
+
             // Inner container to group icon+label and center them together
             this._innerBox = new St.BoxLayout({
                 vertical: true,
@@ -106,12 +353,19 @@ const DesktopIcon = GObject.registerClass(
             });
             this.add_child(this._innerBox);
 
+            // Overlay stacking the notification badge on top of the icon
+            this._iconOverlay = new St.Widget({
+                layout_manager: new Clutter.BinLayout(),
+                x_align: Clutter.ActorAlign.CENTER,
+            });
+            this._innerBox.add_child(this._iconOverlay);
+
             // Icon container
             this._iconContainer = new St.Bin({
                 style_class: 'desktop-icon-container',
                 x_align: Clutter.ActorAlign.CENTER,
             });
-            this._innerBox.add_child(this._iconContainer);
+            this._iconOverlay.add_child(this._iconContainer);
 
             // Create icon from file info
             this._createIcon();
@@ -226,6 +480,32 @@ const DesktopIcon = GObject.registerClass(
 
         _createIcon() {
             try {
+                this._clearWidgetContent();
+                this.remove_style_class_name('widget-mode');
+
+                // Widget tiles show the file's contents instead of an icon
+                if (this.isWidget()) {
+                    this.add_style_class_name('widget-mode');
+                    if (this._hasLiveContent()) {
+                        this._icon = null;
+                        this._thumbnailSize = null;
+                        this._createWidgetContent();
+                        return;
+                    }
+                }
+
+                // Prefer a thumbnail of the file's contents
+                const thumbnail = this._getThumbnailFile();
+                if (thumbnail) {
+                    this._icon = new St.Icon({
+                        gicon: new Gio.FileIcon({ file: thumbnail }),
+                        icon_size: this._iconSize,
+                        style_class: 'desktop-icon-image desktop-icon-thumbnail',
+                    });
+                    this._iconContainer.set_child(this._icon);
+                    return;
+                }
+
                 let gicon = null;
                 let iconName = null;
 
@@ -235,27 +515,19 @@ const DesktopIcon = GObject.registerClass(
                 const fileType = this._fileInfo.get_file_type();
 
                 if (isTrash) {
-                    iconName = 'user-trash-full';
+                    const trashFull = this._extension._trashContents.count > 0;
+                    iconName = trashFull ? 'user-trash-full' : 'user-trash';
                 } else if (isHome) {
                     iconName = 'user-home';
                 } else if (fileType === Gio.FileType.DIRECTORY) {
                     // For folders, use folder icon directly
                     iconName = 'folder';
                 } else {
-                    // Check if it's a .desktop file
+                    // Trusted .desktop files show their application's icon
                     const fileName = this._fileInfo.get_name();
-                    if (fileName && fileName.endsWith('.desktop')) {
-                        try {
-                            const file = this._fileInfo.get_attribute_object('standard::file');
-                            if (file && file.get_path()) {
-                                const desktopAppInfo = Gio.DesktopAppInfo.new_from_filename(file.get_path());
-                                if (desktopAppInfo) {
-                                    gicon = desktopAppInfo.get_icon();
-                                }
-                            }
-                        } catch (e) {
-                            log(`Error reading .desktop file: ${e}`);
-                        }
+                    const desktopAppInfo = this._getTrustedAppInfo();
+                    if (desktopAppInfo) {
+                        gicon = desktopAppInfo.get_icon();
                     }
 
                     // Fallback to content type icon
@@ -327,6 +599,63 @@ const DesktopIcon = GObject.registerClass(
             }
         }
 
+        /**
+         * Thumbnail to show instead of the themed icon, or null
+         * When none exists at the current icon size one is requested, and any
+         * other cached size (or the themed icon) is shown meanwhile
+         */
+        _getThumbnailFile() {
+            this._thumbnailSize = null;
+
+            if (!this._extension._settings.get_boolean('show-thumbnails')) return null;
+            if (this.isSpecial() || this._getDesktopAppInfo()) return null;
+            if (this._fileInfo.get_file_type() === Gio.FileType.DIRECTORY) return null;
+
+            const thumbnailSize =
+                THUMBNAIL_SIZES.find(size => size.pixels >= this._iconSize) ??
+                THUMBNAIL_SIZES[THUMBNAIL_SIZES.length - 1];
+            this._thumbnailSize = thumbnailSize;
+
+            const path = this._fileInfo.get_attribute_byte_string(thumbnailSize.pathAttribute);
+            const valid =
+                !this._fileInfo.has_attribute(thumbnailSize.validAttribute) ||
+                this._fileInfo.get_attribute_boolean(thumbnailSize.validAttribute);
+            if (path && valid) {
+                return Gio.File.new_for_path(path);
+            }
+
+            this._extension._requestThumbnail(this, thumbnailSize);
+
+            const fallback = this._fileInfo.get_attribute_byte_string('thumbnail::path');
+            return fallback ? Gio.File.new_for_path(fallback) : null;
+        }
+
+        /**
+         * Launcher parsed from a .desktop file when it was loaded, or null
+         */
+        _getDesktopAppInfo() {
+            return this._fileInfo.get_attribute_object(DESKTOP_APP_INFO_ATTRIBUTE);
+        }
+
+        /**
+         * Whether a .desktop launcher may run: marked trusted with "Allow
+         * Launching" and executable, as in Nautilus
+         */
+        isTrustedLauncher() {
+            return (
+                this._fileInfo.get_attribute_as_string('metadata::trusted') === 'true' &&
+                this._fileInfo.get_attribute_boolean('access::can-execute')
+            );
+        }
+
+        /**
+         * The launcher's application, only once the launcher is trusted;
+         * untrusted launchers look like the plain files they are
+         */
+        _getTrustedAppInfo() {
+            return this.isTrustedLauncher() ? this._getDesktopAppInfo() : null;
+        }
+
         _getDisplayName() {
             // Check if it's the Home folder
             const isHome = this._fileInfo.get_attribute_boolean('special::is-home');
@@ -345,23 +674,13 @@ const DesktopIcon = GObject.registerClass(
                 return GLib.get_user_name();
             }
 
-            // For .desktop files, get the app name from the file
-            const fileName = this._fileInfo.get_name();
-            if (fileName && fileName.endsWith('.desktop')) {
-                try {
-                    const file = this._fileInfo.get_attribute_object('standard::file');
-                    if (file) {
-                        const desktopAppInfo = Gio.DesktopAppInfo.new_from_filename(file.get_path());
-                        if (desktopAppInfo) {
-                            const appName = desktopAppInfo.get_display_name();
-                            if (appName) {
-                                // Allow up to ~60 chars for 2 lines (~30 per line)
-                                return appName.length > 60 ? appName.substring(0, 57) + '...' : appName;
-                            }
-                        }
-                    }
-                } catch (e) {
-                    log(`Error getting .desktop display name: ${e}`);
+            // For trusted .desktop files, get the app name from the file
+            const desktopAppInfo = this._getTrustedAppInfo();
+            if (desktopAppInfo) {
+                const appName = desktopAppInfo.get_display_name();
+                if (appName) {
+                    // Allow up to ~60 chars for 2 lines (~30 per line)
+                    return appName.length > 60 ? appName.substring(0, 57) + '...' : appName;
                 }
             }
 
@@ -387,6 +706,22 @@ const DesktopIcon = GObject.registerClass(
 
                 if (button === 1) {
                     const singleClick = this._extension._settings.get_boolean('single-click');
+                    const state = event.get_state();
+
+                    // Take keyboard focus so arrow keys and shortcuts work after a click
+                    this.grab_key_focus();
+
+                    // Ctrl-click toggles, Shift-click extends a rectangular range of cells
+                    if (state & Clutter.ModifierType.CONTROL_MASK) {
+                        this._lastClickTime = 0;
+                        this._extension._toggleSelection(this);
+                        return Clutter.EVENT_STOP;
+                    }
+                    if (state & Clutter.ModifierType.SHIFT_MASK) {
+                        this._lastClickTime = 0;
+                        this._extension._selectRange(this);
+                        return Clutter.EVENT_STOP;
+                    }
 
                     if (singleClick) {
                         // Single click mode - open immediately
@@ -412,16 +747,78 @@ const DesktopIcon = GObject.registerClass(
                     }
                 } else if (button === 3) {
                     // Right click
-                    this._showContextMenu(event);
+                    const [x, y] = event.get_coords();
+                    this._showContextMenu(x, y);
                     return Clutter.EVENT_STOP;
                 }
                 return Clutter.EVENT_PROPAGATE;
             });
+
+            // Keyboard handling (unhandled keys bubble up to the grid for type-ahead)
+            this.connect('key-press-event', (actor, event) => this._onKeyPress(event));
+        }
+
+        _onKeyPress(event) {
+            const symbol = event.get_key_symbol();
+            const state = event.get_state();
+            const shift = (state & Clutter.ModifierType.SHIFT_MASK) !== 0;
+            const ctrl = (state & Clutter.ModifierType.CONTROL_MASK) !== 0;
+
+            // Arrows move focus; Shift extends the selection, Ctrl keeps it
+            const direction = ARROW_KEY_DIRECTIONS[symbol];
+            if (direction) {
+                let mode = 'replace';
+                if (shift) {
+                    mode = 'extend';
+                } else if (ctrl) {
+                    mode = 'keep';
+                }
+                this._extension._moveKeyFocus(this, direction[0], direction[1], mode);
+                return Clutter.EVENT_STOP;
+            }
+
+            switch (symbol) {
+                case Clutter.KEY_Return:
+                case Clutter.KEY_KP_Enter:
+                    this._extension._openIcons(this._getActionTargets());
+                    return Clutter.EVENT_STOP;
+                case Clutter.KEY_Delete:
+                case Clutter.KEY_KP_Delete:
+                    this._showRemoveConfirmDialog();
+                    return Clutter.EVENT_STOP;
+                case Clutter.KEY_F2:
+                    this._startRename();
+                    return Clutter.EVENT_STOP;
+                case Clutter.KEY_Menu:
+                    this._showContextMenuFromKeyboard();
+                    return Clutter.EVENT_STOP;
+                case Clutter.KEY_F10:
+                    if (shift) {
+                        this._showContextMenuFromKeyboard();
+                        return Clutter.EVENT_STOP;
+                    }
+                    break;
+                case Clutter.KEY_space:
+                    if (ctrl) {
+                        this._extension._toggleSelection(this);
+                        return Clutter.EVENT_STOP;
+                    }
+                    break;
+            }
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        _showContextMenuFromKeyboard() {
+            // Anchor the menu to the middle of the icon instead of the pointer
+            const [x, y] = this.get_transformed_position();
+            this._showContextMenu(x + this.width / 2, y + this.height / 2);
+
+            // Move key focus into the menu so it can be navigated with arrows
+            this._contextMenu?.actor.navigate_focus(null, St.DirectionType.TAB_FORWARD, false);
         }
 
-        _select() {
-            // Deselect all other icons first
-            this._extension._deselectAll();
+        select() {
+            if (this._selected) return;
 
             this._selected = true;
             // Apply selected style with system accent color
@@ -430,12 +827,67 @@ const DesktopIcon = GObject.registerClass(
         }
 
         deselect() {
+            if (!this._selected) return;
+
             this._selected = false;
             // Remove selected style
             this.set_style('');
         }
 
+        isSelected() {
+            return this._selected;
+        }
+
+        getDisplayName() {
+            return this._label.get_text();
+        }
+
+        isSpecial() {
+            return (
+                this._fileInfo.get_attribute_boolean('special::is-trash') ||
+                this._fileInfo.get_attribute_boolean('special::is-home')
+            );
+        }
+
+        /**
+         * Whether the file can be opened with an application of choice
+         * (launchers, Trash and Home open themselves)
+         */
+        canOpenWith() {
+            return !this.isSpecial() && !this._fileName.endsWith('.desktop');
+        }
+
+        /**
+         * What dropping other icons onto this one does
+         * @returns {string|null} 'trash', 'folder' (move into it), 'launch'
+         *   (open them with the launcher's application) or null
+         */
+        getDropAction() {
+            if (this._fileInfo.get_attribute_boolean('special::is-trash')) return 'trash';
+            if (this._fileInfo.get_file_type() === Gio.FileType.DIRECTORY) return 'folder';
+            if (this._getTrustedAppInfo()) return 'launch';
+            return null;
+        }
+
+        /**
+         * Icons an action on this icon applies to: the whole selection when
+         * this icon is part of it, otherwise just this icon
+         */
+        _getActionTargets() {
+            if (this._selected) {
+                const selected = this._extension._getSelectedIcons();
+                if (selected.length > 0) {
+                    return selected;
+                }
+            }
+            return [this];
+        }
+
         _open() {
+            // Opening the item acknowledges its notification
+            this.dismissNotification();
+            this._extension._onIconActivated(this);
+
             try {
                 // Get file from fileInfo
                 let file = this._fileInfo.get_attribute_object('standard::file');
@@ -452,7 +904,13 @@ const DesktopIcon = GObject.registerClass(
                 const fileName = this._fileInfo.get_name();
                 if (fileName && fileName.endsWith('.desktop')) {
                     try {
-                        const desktopAppInfo = Gio.DesktopAppInfo.new_from_filename(file.get_path());
+                        const desktopAppInfo =
+                            this._getDesktopAppInfo() ??
+                            Gio.DesktopAppInfo.new_from_filename(file.get_path());
+                        if (desktopAppInfo && !this.isTrustedLauncher()) {
+                            this._showUntrustedLauncherDialog(desktopAppInfo);
+                            return;
+                        }
                         if (desktopAppInfo) {
                             desktopAppInfo.launch([], null);
                             return;
@@ -487,12 +945,15 @@ const DesktopIcon = GObject.registerClass(
             }
         }
 
-        _showContextMenu(event) {
+        _showContextMenu(mouseX, mouseY) {
             // Close any existing menu
             this._closeContextMenu();
 
-            // Get mouse position FIRST
-            const [mouseX, mouseY] = event.get_coords();
+            // Right-clicking outside the selection makes this icon the selection
+            if (!this._selected) {
+                this._extension._selectOnly(this);
+            }
+            const targets = this._getActionTargets();
 
             // Create a dummy actor at mouse position to anchor the menu
             this._menuAnchor = new St.Widget({
@@ -510,10 +971,107 @@ const DesktopIcon = GObject.registerClass(
             // Open item
             const openItem = new PopupMenu.PopupMenuItem('Open');
             openItem.connect('activate', () => {
-                this._open();
+                this._extension._openIcons(targets);
             });
             this._contextMenu.addMenuItem(openItem);
 
+            // Open With lists the applications for this icon's content type
+            // and opens the selected items of that type only
+            const contentType = this._fileInfo.get_content_type();
+            const openWithTargets = targets.filter(
+                icon =>
+                    icon.canOpenWith() &&
+                    Gio.content_type_equals(icon._fileInfo.get_content_type() ?? '', contentType)
+            );
+            if (this.canOpenWith() && contentType) {
+                const openWithSubMenu = new PopupMenu.PopupSubMenuMenuItem('Open With');
+                const defaultApp = Gio.AppInfo.get_default_for_type(contentType, false);
+                const apps = Gio.AppInfo.get_all_for_type(contentType).filter(app =>
+                    app.should_show()
+                );
+                for (const app of apps) {
+                    const appItem = new PopupMenu.PopupImageMenuItem(
+                        app.get_display_name(),
+                        app.get_icon() ?? 'application-x-executable'
+                    );
+                    if (defaultApp?.equal(app)) {
+                        appItem.setOrnament(PopupMenu.Ornament.DOT);
+                    }
+                    appItem.connect('activate', () => {
+                        this._extension._openWith(app, openWithTargets);
+                    });
+                    openWithSubMenu.menu.addMenuItem(appItem);
+                }
+
+                const otherApps = apps.filter(app => !defaultApp?.equal(app));
+                if (otherApps.length > 0) {
+                    openWithSubMenu.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+                }
+                for (const app of otherApps) {
+                    const defaultItem = new PopupMenu.PopupMenuItem(
+                        `Set ${app.get_display_name()} as Default`
+                    );
+                    defaultItem.connect('activate', () => {
+                        this._extension._setDefaultApp(app, contentType);
+                    });
+                    openWithSubMenu.menu.addMenuItem(defaultItem);
+                }
+
+                openWithSubMenu.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+                const otherItem = new PopupMenu.PopupMenuItem('Other Application...');
+                otherItem.connect('activate', () => {
+                    this._showAppChooserDialog(openWithTargets, contentType);
+                });
+                openWithSubMenu.menu.addMenuItem(otherItem);
+                this._contextMenu.addMenuItem(openWithSubMenu);
+            }
+
+            // Launchers: their extra actions (e.g. New Private Window) and trust
+            const desktopAppInfo = this._getDesktopAppInfo();
+            if (desktopAppInfo) {
+                const trusted = this.isTrustedLauncher();
+                if (trusted) {
+                    for (const action of desktopAppInfo.list_actions()) {
+                        const actionItem = new PopupMenu.PopupMenuItem(
+                            desktopAppInfo.get_action_name(action)
+                        );
+                        actionItem.connect('activate', () => {
+                            this._extension._onIconActivated(this);
+                            desktopAppInfo.launch_action(action, null);
+                        });
+                        this._contextMenu.addMenuItem(actionItem);
+                    }
+                }
+
+                const trustItem = new PopupMenu.PopupSwitchMenuItem('Allow Launching', trusted);
+                trustItem.connect('toggled', (item, state) => {
+                    this._extension._setLauncherTrusted(this, state);
+                    this._closeContextMenu();
+                });
+                this._contextMenu.addMenuItem(trustItem);
+            }
+
+            // Cut and Copy put the files on the clipboard for Nautilus or the desktop
+            if (!this.isSpecial()) {
+                const cutItem = new PopupMenu.PopupMenuItem('Cut');
+                cutItem.connect('activate', () => {
+                    this._extension._copyIcons(targets, true);
+                });
+                addAcceleratorHint(cutItem, 'Ctrl+X');
+                this._contextMenu.addMenuItem(cutItem);
+
+                const copyItem = new PopupMenu.PopupMenuItem('Copy');
+                copyItem.connect('activate', () => {
+                    this._extension._copyIcons(targets, false);
+                });
+                addAcceleratorHint(copyItem, 'Ctrl+C');
+                this._contextMenu.addMenuItem(copyItem);
+            }
+
+            if (this._fileInfo.get_attribute_boolean('special::is-trash')) {
+                this._addTrashMenuItems();
+            }
+
             this._contextMenu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
 
             // Icon Size - Submenu with Visual Grid Selector (4x4)
@@ -618,10 +1176,14 @@ const DesktopIcon = GObject.registerClass(
                 const selRow = Math.floor(relY / cellSize) + 1;
 
                 if (selCol >= 1 && selCol <= gridSize && selRow >= 1 && selRow <= gridSize) {
-                    const sizeKey = `${selCol}x${selRow}`;
-                    this._extension._setCustomIconCellSize(this._fileName, sizeKey);
-                    const newCellSize = { cols: selCol, rows: selRow };
-                    this.updateSize(newCellSize);
+                    const extension = this._extension;
+                    extension._changeIconSetting(
+                        'Resize',
+                        targets.map(icon => icon._fileName),
+                        name => extension._getCustomIconCellSize(name) ?? '1x1',
+                        (name, sizeKey) => extension.setIconSize(name, sizeKey),
+                        `${selCol}x${selRow}`
+                    );
                     this._closeContextMenu();
                 }
                 return Clutter.EVENT_STOP;
@@ -672,8 +1234,14 @@ const DesktopIcon = GObject.registerClass(
                     x_expand: true,
                 });
                 box.connect('clicked', () => {
-                    this._extension._setIconElevation(this._fileName, elev.level);
-                    this.setElevation(elev.level);
+                    const extension = this._extension;
+                    extension._changeIconSetting(
+                        'Elevation Change',
+                        targets.map(icon => icon._fileName),
+                        name => extension._getIconElevation(name),
+                        (name, level) => extension.setIconElevation(name, level),
+                        elev.level
+                    );
                     this._closeContextMenu();
                 });
                 box.connect('enter-event', () => {
@@ -756,8 +1324,14 @@ const DesktopIcon = GObject.registerClass(
                     x_expand: true,
                 });
                 box.connect('clicked', () => {
-                    this._extension._setIconBackground(this._fileName, bg.key);
-                    this.setBackground(bg.key);
+                    const extension = this._extension;
+                    extension._changeIconSetting(
+                        'Background Change',
+                        targets.map(icon => icon._fileName),
+                        name => extension._getIconBackground(name),
+                        (name, style) => extension.setIconBackground(name, style),
+                        bg.key
+                    );
                     this._closeContextMenu();
                 });
                 box.connect('enter-event', () => {
@@ -801,20 +1375,42 @@ const DesktopIcon = GObject.registerClass(
             bgSubMenu.menu.addMenuItem(bgItem);
             this._contextMenu.addMenuItem(bgSubMenu);
 
-            this._contextMenu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
-
-            // Remove item with confirmation dialog
-            const deleteItem = new PopupMenu.PopupMenuItem('Remove...');
-            deleteItem.connect('activate', () => {
-                this._showRemoveConfirmDialog();
+            // Widget toggle: 2x2 and larger widgets show live content
+            const widgetItem = new PopupMenu.PopupSwitchMenuItem('Widget', this.isWidget());
+            widgetItem.connect('toggled', (item, state) => {
+                for (const icon of targets) {
+                    this._extension._setIconWidget(icon._fileName, state);
+                    icon.refreshIcon();
+                }
+                this._closeContextMenu();
             });
-            this._contextMenu.addMenuItem(deleteItem);
+            this._contextMenu.addMenuItem(widgetItem);
+
+            // Rename and Remove (Trash and Home have fixed names and can't be removed)
+            if (!this.isSpecial()) {
+                this._contextMenu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+                const renameItem = new PopupMenu.PopupMenuItem('Rename...');
+                renameItem.connect('activate', () => {
+                    this._closeContextMenu();
+                    this._startRename();
+                });
+                this._contextMenu.addMenuItem(renameItem);
+
+                // Remove item with confirmation dialog
+                const deleteItem = new PopupMenu.PopupMenuItem('Remove...');
+                deleteItem.connect('activate', () => {
+                    this._showRemoveConfirmDialog();
+                });
+                this._contextMenu.addMenuItem(deleteItem);
+            }
 
             // Add menu to UI group (above windows)
             Main.uiGroup.add_child(this._contextMenu.actor);
 
-            // Get screen bounds
-            const monitor = Main.layoutManager.primaryMonitor;
+            // Get screen bounds of the icon's monitor
+            const layoutManager = Main.layoutManager;
+            const monitor = layoutManager.findMonitorForActor(this) ?? layoutManager.primaryMonitor;
             const margin = 5;
             const screenRight = monitor.x + monitor.width - margin;
             const screenBottom = monitor.y + monitor.height - margin;
@@ -878,6 +1474,40 @@ const DesktopIcon = GObject.registerClass(
             });
         }
 
+        /**
+         * Trash icon entries: the item count, recently trashed items to
+         * restore, and Empty Trash
+         */
+        _addTrashMenuItems() {
+            const { count, recent } = this._extension._trashContents;
+
+            const countText = count === 1 ? '1 item' : `${count} items`;
+            const countItem = new PopupMenu.PopupMenuItem(countText, { reactive: false });
+            countItem.label.style = 'color: rgba(255,255,255,0.5);';
+            this._contextMenu.addMenuItem(countItem);
+
+            if (recent.length > 0) {
+                const restoreSubMenu = new PopupMenu.PopupSubMenuMenuItem('Restore');
+                for (const item of recent) {
+                    const { displayName, gicon } = item;
+                    const restoreItem = new PopupMenu.PopupImageMenuItem(displayName, gicon);
+                    restoreItem.connect('activate', () => {
+                        this._closeContextMenu();
+                        this._extension._restoreTrashItem(item);
+                    });
+                    restoreSubMenu.menu.addMenuItem(restoreItem);
+                }
+                this._contextMenu.addMenuItem(restoreSubMenu);
+            }
+
+            const emptyItem = new PopupMenu.PopupMenuItem('Empty Trash...');
+            emptyItem.setSensitive(count > 0);
+            emptyItem.connect('activate', () => {
+                this._showEmptyTrashDialog();
+            });
+            this._contextMenu.addMenuItem(emptyItem);
+        }
+
         _setupSubmenuPositioning(contextMenu, monitor) {
             // Find all submenu items and monitor their opening
             const checkSubmenus = (menuItems) => {
@@ -1039,6 +1669,10 @@ const DesktopIcon = GObject.registerClass(
             // Close context menu first
             this._closeContextMenu();
 
+            // Trash and Home can't be moved to the Trash
+            const targets = this._getActionTargets().filter(icon => !icon.isSpecial());
+            if (targets.length === 0) return;
+
             // Create confirmation dialog
             const dialog = new ModalDialog.ModalDialog({
                 styleClass: 'modal-dialog',
@@ -1052,13 +1686,16 @@ const DesktopIcon = GObject.registerClass(
             });
 
             const title = new St.Label({
-                text: 'Remove Item?',
+                text: targets.length > 1 ? 'Remove Items?' : 'Remove Item?',
                 style: 'font-weight: bold; font-size: 1.2em;',
             });
             contentBox.add_child(title);
 
             const message = new St.Label({
-                text: `"${this._fileName}" will be moved to the Trash.`,
+                text:
+                    targets.length > 1
+                        ? `${targets.length} items will be moved to the Trash.`
+                        : `"${targets[0]._fileName}" will be moved to the Trash.`,
                 style: 'color: rgba(255,255,255,0.7);',
             });
             contentBox.add_child(message);
@@ -1077,7 +1714,7 @@ const DesktopIcon = GObject.registerClass(
             dialog.addButton({
                 label: 'Remove',
                 action: () => {
-                    this._moveToTrash();
+                    this._extension._trashIcons(targets);
                     dialog.close();
                 },
                 default: true,
@@ -1086,1967 +1723,6441 @@ const DesktopIcon = GObject.registerClass(
             dialog.open();
         }
 
-        _moveToTrash() {
-            try {
-                log(`[Obision] Attempting to trash: ${this._fileName}`);
-                const file = this.getFile();
-                if (file) {
-                    log(`[Obision] File path: ${file.get_path()}`);
-                    file.trash(null);
-                    log(`[Obision] Successfully trashed: ${this._fileName}`);
-                } else {
-                    log(`[Obision] Could not get file object for: ${this._fileName}`);
-                }
-            } catch (e) {
-                log(`[Obision] Error moving to trash: ${e}`);
-            }
-        }
+        /**
+         * Pick any application to open files with, optionally making it the
+         * default for their content type
+         */
+        _showAppChooserDialog(targets, contentType) {
+            this._closeContextMenu();
 
-        updateSize(newCellSize) {
-            // Update cell size
-            if (newCellSize) {
-                this._cellSize = newCellSize;
-            }
+            const dialog = new ModalDialog.ModalDialog({
+                styleClass: 'modal-dialog',
+                destroyOnClose: true,
+            });
 
-            // Recalculate widget dimensions
-            const cellWidth = this._extension._getCellWidth();
-            const cellHeight = this._extension._getCellHeight();
-            const widgetWidth = cellWidth * this._cellSize.cols;
-            const widgetHeight = cellHeight * this._cellSize.rows;
+            const content = new Dialog.MessageDialogContent({
+                title: 'Open With',
+                description:
+                    targets.length > 1
+                        ? `Choose an application for ${targets.length} items.`
+                        : `Choose an application for "${targets[0].getDisplayName()}".`,
+            });
+            dialog.contentLayout.add_child(content);
 
-            // Calculate icon size based on available space
-            const padding = 16;
-            const labelHeight = LABEL_HEIGHT;
-            const availableWidth = widgetWidth - padding;
-            const availableHeight = widgetHeight - labelHeight - padding;
-            const iconSize = Math.max(MIN_ICON_SIZE, Math.min(availableWidth, availableHeight));
+            // Applications registered for the type first, then every other one
+            const recommended = Gio.AppInfo.get_all_for_type(contentType).filter(app =>
+                app.should_show()
+            );
+            const others = Gio.AppInfo.get_all()
+                .filter(app => app.should_show() && !recommended.some(other => other.equal(app)))
+                .sort((a, b) => a.get_display_name().localeCompare(b.get_display_name()));
+
+            let selectedApp = null;
+            let selectedRow = null;
+            const list = new St.BoxLayout({ vertical: true });
+            const fallbackIcon = new Gio.ThemedIcon({ name: 'application-x-executable' });
+            for (const app of [...recommended, ...others]) {
+                const rowBox = new St.BoxLayout({ style: 'spacing: 12px;' });
+                rowBox.add_child(
+                    new St.Icon({
+                        gicon: app.get_icon() ?? fallbackIcon,
+                        icon_size: 24,
+                    })
+                );
+                rowBox.add_child(
+                    new St.Label({
+                        text: app.get_display_name(),
+                        y_align: Clutter.ActorAlign.CENTER,
+                    })
+                );
 
-            this._iconSize = iconSize;
-            if (this._icon) {
-                this._icon.set_icon_size(iconSize);
+                const row = new St.Button({
+                    style_class: 'app-chooser-row',
+                    child: rowBox,
+                    can_focus: true,
+                    x_expand: true,
+                });
+                row.connect('clicked', () => {
+                    selectedRow?.remove_style_pseudo_class('checked');
+                    row.add_style_pseudo_class('checked');
+                    selectedRow = row;
+                    selectedApp = app;
+                    openButton.reactive = true;
+                    openButton.can_focus = true;
+                    openButton.set_opacity(255);
+                });
+                list.add_child(row);
             }
 
-            // Update font size proportionally to cell size
-            const baseFontSize = 12;
-            const cellSizeMultiplier = Math.max(this._cellSize.cols, this._cellSize.rows);
-            // Progressive scaling: 1x1=12px, 2x2=17px, 3x3=23px, 4x4=30px
-            const fontSize = Math.round(baseFontSize + (cellSizeMultiplier - 1) * 5 + (cellSizeMultiplier > 2 ? 3 : 0));
-            if (this._label) {
-                const lineHeight = Math.ceil(fontSize * 1.2);
-                this._label.style = `font-size: ${fontSize}px; max-height: ${lineHeight * 2 + 4}px;`;
-                this._label.width = widgetWidth - 8;
-            }
+            const scrollView = new St.ScrollView({
+                style_class: 'app-chooser-list',
+                hscrollbar_policy: St.PolicyType.NEVER,
+                vscrollbar_policy: St.PolicyType.AUTOMATIC,
+            });
+            scrollView.set_child(list);
+            dialog.contentLayout.add_child(scrollView);
 
-            this.set_size(widgetWidth, widgetHeight);
-        }
+            const description = Gio.content_type_get_description(contentType);
+            const setDefault = new CheckBox.CheckBox(`Always use for ${description}`);
+            dialog.contentLayout.add_child(setDefault);
 
-        getFile() {
-            try {
-                // First try to get from fileInfo
-                const file = this._fileInfo.get_attribute_object('standard::file');
-                if (file) {
-                    return file;
-                }
+            dialog.addButton({
+                label: 'Cancel',
+                action: () => {
+                    dialog.close();
+                },
+                key: Clutter.KEY_Escape,
+            });
 
-                // Fallback: construct file from desktop path and fileName
-                const desktopPath = GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_DESKTOP);
-                const filePath = GLib.build_filenamev([desktopPath, this._fileName]);
-                return Gio.File.new_for_path(filePath);
-            } catch (e) {
-                log(`[Obision] Error getting file for ${this._fileName}: ${e}`);
-                return null;
-            }
-        }
+            const openButton = dialog.addButton({
+                label: 'Open',
+                action: () => {
+                    if (!selectedApp) return;
+                    if (setDefault.checked) {
+                        this._extension._setDefaultApp(selectedApp, contentType);
+                    }
+                    this._extension._openWith(selectedApp, targets);
+                    dialog.close();
+                },
+                default: true,
+            });
 
-        getFileName() {
-            return this._fileName;
-        }
+            // Nothing to open with until an application is picked
+            openButton.reactive = false;
+            openButton.can_focus = false;
+            openButton.set_opacity(128);
 
-        destroy() {
-            // Clean up context menu
-            this._closeContextMenu();
-            super.destroy();
+            dialog.open();
         }
-    }
-);
 
-/**
- * Grid overlay that draws the visual grid lines/dots
- */
-const GridOverlay = GObject.registerClass(
-    class GridOverlay extends St.DrawingArea {
-        _init(extension) {
-            super._init({
-                reactive: false,
+        /**
+         * Warn before running a launcher that was not marked as trusted
+         */
+        _showUntrustedLauncherDialog(desktopAppInfo) {
+            const dialog = new ModalDialog.ModalDialog({
+                styleClass: 'modal-dialog',
+                destroyOnClose: true,
             });
 
-            this._extension = extension;
-            this.connect('repaint', this._onRepaint.bind(this));
-        }
+            const content = new Dialog.MessageDialogContent({
+                title: 'Untrusted Application Launcher',
+                description:
+                    `"${this._fileInfo.get_display_name()}" has not been marked as trusted. ` +
+                    'If you do not know where this file comes from, launching it may be unsafe.',
+            });
+            dialog.contentLayout.add_child(content);
 
-        _onRepaint() {
-            const settings = this._extension._settings;
-            if (!settings.get_boolean('grid-visible')) {
-                return;
-            }
+            dialog.addButton({
+                label: 'Cancel',
+                action: () => {
+                    dialog.close();
+                },
+                key: Clutter.KEY_Escape,
+                default: true,
+            });
 
-            const cr = this.get_context();
-            const [width, height] = this.get_surface_size();
-            const cellWidth = this._extension._getCellWidth();
-            const cellHeight = this._extension._getCellHeight();
+            dialog.addButton({
+                label: 'Trust and Launch',
+                action: async () => {
+                    dialog.close();
+                    if (await this._extension._setLauncherTrusted(this, true)) {
+                        desktopAppInfo.launch([], null);
+                    }
+                },
+            });
 
-            // Parse color
-            const colorStr = settings.get_string('grid-color');
-            const color = this._parseColor(colorStr);
-            cr.setSourceRGBA(color.r, color.g, color.b, color.a);
+            dialog.open();
+        }
 
-            const lineWidth = settings.get_int('grid-line-width');
-            cr.setLineWidth(lineWidth);
+        _showEmptyTrashDialog() {
+            this._closeContextMenu();
 
-            const dotsOnly = settings.get_boolean('grid-dots-only');
-            const pattern = settings.get_string('grid-line-pattern');
+            const { count } = this._extension._trashContents;
+            const dialog = new ModalDialog.ModalDialog({
+                styleClass: 'modal-dialog',
+                destroyOnClose: true,
+            });
 
-            if (dotsOnly) {
-                this._drawDots(cr, width, height, cellWidth, cellHeight, lineWidth);
-            } else {
-                this._drawLines(cr, width, height, cellWidth, cellHeight, pattern);
-            }
+            const contentBox = new St.BoxLayout({
+                vertical: true,
+                style: 'spacing: 12px; padding: 12px;',
+            });
 
-            cr.$dispose();
+            const title = new St.Label({
+                text: 'Empty Trash?',
+                style: 'font-weight: bold; font-size: 1.2em;',
+            });
+            contentBox.add_child(title);
+
+            const message = new St.Label({
+                text: `${count === 1 ? '1 item' : `${count} items`} will be permanently deleted.`,
+                style: 'color: rgba(255,255,255,0.7);',
+            });
+            contentBox.add_child(message);
+
+            dialog.contentLayout.add_child(contentBox);
+
+            dialog.addButton({
+                label: 'Cancel',
+                action: () => {
+                    dialog.close();
+                },
+                key: Clutter.KEY_Escape,
+            });
+
+            dialog.addButton({
+                label: 'Empty Trash',
+                action: () => {
+                    this._extension._emptyTrash();
+                    dialog.close();
+                },
+                default: true,
+            });
+
+            dialog.open();
         }
 
-        _parseColor(colorStr) {
-            // Parse CSS color format: rgba(r,g,b,a) or rgb(r,g,b) or hex
-            const rgbaMatch = colorStr.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
-            if (rgbaMatch) {
-                return {
-                    r: parseInt(rgbaMatch[1]) / 255,
-                    g: parseInt(rgbaMatch[2]) / 255,
-                    b: parseInt(rgbaMatch[3]) / 255,
-                    a: rgbaMatch[4] ? parseFloat(rgbaMatch[4]) : 1,
-                };
+        updateSize(newCellSize) {
+            // Update cell size
+            if (newCellSize) {
+                this._cellSize = newCellSize;
             }
-            // Default fallback
-            return { r: 1, g: 1, b: 1, a: 0.3 };
-        }
 
-        _drawDots(cr, width, height, cellWidth, cellHeight, dotSize) {
-            const radius = Math.max(dotSize, 2);
+            // Recalculate widget dimensions for the cells of the icon's monitor
+            const cellWidth = this._extension._getCellWidth(this._desktopGrid);
+            const cellHeight = this._extension._getCellHeight(this._desktopGrid);
+            const widgetWidth = cellWidth * this._cellSize.cols;
+            const widgetHeight = cellHeight * this._cellSize.rows;
 
-            for (let x = cellWidth; x < width; x += cellWidth) {
-                for (let y = cellHeight; y < height; y += cellHeight) {
-                    cr.arc(x, y, radius, 0, 2 * Math.PI);
-                    cr.fill();
-                }
+            // Calculate icon size based on available space
+            const padding = 16;
+            const labelHeight = LABEL_HEIGHT;
+            const availableWidth = widgetWidth - padding;
+            const availableHeight = widgetHeight - labelHeight - padding;
+            const iconSize = Math.max(MIN_ICON_SIZE, Math.min(availableWidth, availableHeight));
+
+            this._iconSize = iconSize;
+            if (this._icon) {
+                this._icon.set_icon_size(iconSize);
             }
-        }
 
-        _drawLines(cr, width, height, cellWidth, cellHeight, pattern) {
-            // Set dash pattern
-            if (pattern === 'dashed') {
-                cr.setDash([10, 5], 0);
-            } else if (pattern === 'dotted') {
-                cr.setDash([2, 4], 0);
+            // Live content follows the span, and a thumbnail rendered for a
+            // smaller size would look blurry
+            if (
+                this._widgetContent ||
+                this._hasLiveContent() ||
+                (this._thumbnailSize && this._thumbnailSize.pixels < iconSize)
+            ) {
+                this._createIcon();
             }
-            // 'solid' = no dash
 
-            // Vertical lines
-            for (let x = cellWidth; x < width; x += cellWidth) {
-                cr.moveTo(x, 0);
-                cr.lineTo(x, height);
+            // Update font size proportionally to cell size
+            const baseFontSize = 12;
+            const cellSizeMultiplier = Math.max(this._cellSize.cols, this._cellSize.rows);
+            // Progressive scaling: 1x1=12px, 2x2=17px, 3x3=23px, 4x4=30px
+            const fontSize = Math.round(baseFontSize + (cellSizeMultiplier - 1) * 5 + (cellSizeMultiplier > 2 ? 3 : 0));
+            if (this._label) {
+                const lineHeight = Math.ceil(fontSize * 1.2);
+                this._label.style = `font-size: ${fontSize}px; max-height: ${lineHeight * 2 + 4}px;`;
+                this._label.width = widgetWidth - 8;
             }
 
-            // Horizontal lines
-            for (let y = cellHeight; y < height; y += cellHeight) {
-                cr.moveTo(0, y);
-                cr.lineTo(width, y);
+            this.set_size(widgetWidth, widgetHeight);
+        }
+
+        getFile() {
+            try {
+                // First try to get from fileInfo
+                const file = this._fileInfo.get_attribute_object('standard::file');
+                if (file) {
+                    return file;
+                }
+
+                // Fallback: construct file from desktop path and fileName
+                const desktopPath = GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_DESKTOP);
+                const filePath = GLib.build_filenamev([desktopPath, this._fileName]);
+                return Gio.File.new_for_path(filePath);
+            } catch (e) {
+                log(`[Obision] Error getting file for ${this._fileName}: ${e}`);
+                return null;
             }
+        }
 
-            cr.stroke();
+        getFileName() {
+            return this._fileName;
         }
 
-        refresh() {
-            this.queue_repaint();
+        /**
+         * Point this icon at a different file (e.g. after a rename), keeping
+         * the widget, its cell and its selection
+         */
+        updateFileInfo(fileInfo, fileName) {
+            this._fileInfo = fileInfo;
+            this._fileName = fileName;
+            this._label.set_text(this._getDisplayName());
+
+            // The content type may have changed with the name
+            this._createIcon();
+            this._applyElevationStyle();
         }
-    }
-);
 
-/**
- * Desktop grid container that manages icon layout
- */
-const DesktopGrid = GObject.registerClass(
-    class DesktopGrid extends St.Widget {
-        _init(extension) {
-            // Use NULL layout manager - we position children manually
-            super._init({
-                reactive: true,
-                can_focus: true,
-            });
+        /**
+         * Rebuild the icon after one of its display settings changed
+         */
+        refreshIcon() {
+            this._createIcon();
+            this._applyElevationStyle();
+        }
 
-            this._extension = extension;
-            this._icons = [];
-            this._desktopMenu = null;
+        // ===== Widget Mode =====
 
-            // Click on empty area
-            this.connect('button-press-event', (actor, event) => {
-                const button = event.get_button();
+        isWidget() {
+            return this._extension._isIconWidget(this._fileName);
+        }
 
-                if (button === 1) {
-                    // Left click - deselect all
-                    this._extension._deselectAll();
-                    return Clutter.EVENT_STOP;
-                } else if (button === 3) {
-                    // Right click - show desktop menu
-                    const [x, y] = event.get_coords();
-                    this._showDesktopMenu(x, y);
-                    return Clutter.EVENT_STOP;
-                }
-                return Clutter.EVENT_PROPAGATE;
-            });
+        /**
+         * Whether the tile shows live content instead of its icon
+         * Needs widget mode, at least 2x2 cells and a file type with a preview
+         */
+        _hasLiveContent() {
+            return (
+                this.isWidget() &&
+                this._cellSize.cols >= WIDGET_MIN_CELLS &&
+                this._cellSize.rows >= WIDGET_MIN_CELLS &&
+                this._getWidgetKind() !== null
+            );
         }
 
-        _showDesktopMenu(x, y) {
-            this._closeDesktopMenu();
+        /**
+         * Kind of live content for this file: 'folder', 'text', 'image' or null
+         */
+        _getWidgetKind() {
+            if (this._fileInfo.get_file_type() === Gio.FileType.DIRECTORY) return 'folder';
 
-            // Create a dummy actor at mouse position to anchor the menu
-            this._menuAnchor = new St.Widget({
-                x: x,
-                y: y,
-                width: 1,
-                height: 1,
-                reactive: false,
-            });
-            Main.uiGroup.add_child(this._menuAnchor);
+            const contentType = this._fileInfo.get_content_type();
+            if (!contentType) return null;
+            if (Gio.content_type_is_a(contentType, 'text/plain')) return 'text';
+            if (contentType.startsWith('image/')) return 'image';
+            return null;
+        }
 
-            // Create popup menu anchored to dummy widget
-            this._desktopMenu = new PopupMenu.PopupMenu(this._menuAnchor, 0, St.Side.TOP);
+        _getWidgetContentSize() {
+            const padding = 16;
+            const grid = this._desktopGrid;
+            const width = this._extension._getCellWidth(grid) * this._cellSize.cols - padding;
+            const height =
+                this._extension._getCellHeight(grid) * this._cellSize.rows - LABEL_HEIGHT - padding;
+            return [width, height];
+        }
 
-            // Create Folder item with accelerator
-            const createFolderItem = new PopupMenu.PopupMenuItem('Create Folder...');
-            createFolderItem.connect('activate', () => {
-                this._showNewFolderDialog();
-            });
-            // Add accelerator hint text
-            const accelLabel = new St.Label({
-                text: 'Shift+Ctrl+N',
-                style: 'font-size: 0.9em; color: rgba(255,255,255,0.5);',
-                y_align: Clutter.ActorAlign.CENTER,
+        _createWidgetContent() {
+            const [width, height] = this._getWidgetContentSize();
+            this._widgetContent = new St.BoxLayout({
+                vertical: true,
+                style_class: 'desktop-icon-widget-content',
+                width,
+                height,
+                clip_to_allocation: true,
             });
-            createFolderItem.add_child(accelLabel);
-            this._desktopMenu.addMenuItem(createFolderItem);
+            this._iconContainer.set_child(this._widgetContent);
 
-            this._desktopMenu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+            // Folders are watched so the listing stays current
+            if (this._getWidgetKind() === 'folder') {
+                try {
+                    this._widgetMonitor = this.getFile().monitor_directory(
+                        Gio.FileMonitorFlags.NONE,
+                        null
+                    );
+                    this._widgetMonitor.connect('changed', () => this._queueWidgetRefresh());
+                } catch (e) {
+                    log(`[Obision] Cannot watch ${this._fileName}: ${e}`);
+                }
+            }
 
-            // Check if obision-ext-one-win is installed
-            try {
-                const oneWinExtension = Main.extensionManager.lookup('obision-ext-one-win@obision.com');
+            this._loadWidgetContent();
+        }
 
-                log(`[Obision] One Win extension lookup result: ${oneWinExtension ? 'found' : 'not found'}`);
+        _clearWidgetContent() {
+            if (this._widgetCancellable) {
+                this._widgetCancellable.cancel();
+                this._widgetCancellable = null;
+            }
+            if (this._widgetMonitor) {
+                this._widgetMonitor.cancel();
+                this._widgetMonitor = null;
+            }
+            if (this._widgetRefreshId) {
+                GLib.source_remove(this._widgetRefreshId);
+                this._widgetRefreshId = null;
+            }
+            this._widgetContent = null;
+        }
 
-                if (oneWinExtension) {
-                    log(`[Obision] One Win extension state: ${oneWinExtension.state}`);
+        _queueWidgetRefresh() {
+            if (this._widgetRefreshId) return;
 
-                    // Check current state when menu opens (state 1 = ENABLED)
-                    const isCurrentlyEnabled = oneWinExtension.state === 1;
-                    const oneWinItem = new PopupMenu.PopupSwitchMenuItem('One Win Mode', isCurrentlyEnabled);
+            this._widgetRefreshId = GLib.timeout_add(
+                GLib.PRIORITY_DEFAULT,
+                WIDGET_REFRESH_DELAY,
+                () => {
+                    this._widgetRefreshId = null;
+                    this._loadWidgetContent();
+                    return GLib.SOURCE_REMOVE;
+                }
+            );
+        }
 
-                    oneWinItem.connect('toggled', (item, state) => {
-                        if (state) {
-                            // Enable the extension
-                            try {
-                                Gio.Subprocess.new(
-                                    ['gnome-extensions', 'enable', 'obision-ext-one-win@obision.com'],
-                                    Gio.SubprocessFlags.NONE
-                                );
-                            } catch (e) {
-                                log(`[Obision] Error enabling One Win extension: ${e}`);
-                            }
-                        } else {
-                            // Disable the extension
-                            try {
-                                Gio.Subprocess.new(
-                                    ['gnome-extensions', 'disable', 'obision-ext-one-win@obision.com'],
-                                    Gio.SubprocessFlags.NONE
-                                );
-                            } catch (e) {
-                                log(`[Obision] Error disabling One Win extension: ${e}`);
-                            }
-                        }
-                    });
+        /**
+         * (Re)load the live content, dropping any load still in flight
+         */
+        async _loadWidgetContent() {
+            if (this._widgetCancellable) {
+                this._widgetCancellable.cancel();
+            }
+            const cancellable = new Gio.Cancellable();
+            this._widgetCancellable = cancellable;
 
-                    this._desktopMenu.addMenuItem(oneWinItem);
-                    log(`[Obision] One Win menu item added`);
-                } else {
-                    // Add placeholder to show extension is not installed
-                    const notInstalledItem = new PopupMenu.PopupMenuItem('One Win (no instalado)');
-                    notInstalledItem.setSensitive(false);
-                    this._desktopMenu.addMenuItem(notInstalledItem);
-                    log(`[Obision] One Win extension not installed, added placeholder`);
+            const content = this._widgetContent;
+            const [width, height] = this._getWidgetContentSize();
+
+            try {
+                let children;
+                switch (this._getWidgetKind()) {
+                    case 'folder':
+                        children = await this._buildFolderListing(height, cancellable);
+                        break;
+                    case 'text':
+                        children = await this._buildTextPreview(cancellable);
+                        break;
+                    case 'image':
+                        children = this._buildImagePreview(width, height);
+                        break;
+                    default:
+                        children = [];
+                }
+
+                // Replaced or destroyed while loading
+                if (cancellable.is_cancelled()) return;
+
+                content.destroy_all_children();
+                for (const child of children) {
+                    content.add_child(child);
                 }
             } catch (e) {
-                log(`[Obision] Error checking One Win extension: ${e}\n${e.stack}`);
+                if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                    log(`[Obision] Error loading widget content for ${this._fileName}: ${e}`);
+                }
             }
+        }
 
-            this._desktopMenu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        /**
+         * Newest entries of a folder, one row each
+         */
+        async _buildFolderListing(height, cancellable) {
+            const maxEntries = Math.max(1, Math.floor(height / WIDGET_ENTRY_HEIGHT));
+            const enumerator = await this.getFile().enumerate_children_async(
+                'standard::display-name,standard::icon,standard::is-hidden,time::modified',
+                Gio.FileQueryInfoFlags.NONE,
+                GLib.PRIORITY_DEFAULT,
+                cancellable
+            );
 
-            // Preferences item
-            const prefsItem = new PopupMenu.PopupMenuItem('Preferences...');
-            prefsItem.connect('activate', () => {
-                try {
-                    Gio.Subprocess.new(
-                        ['gnome-extensions', 'prefs', 'obision-ext-desk-grid@obision.com'],
-                        Gio.SubprocessFlags.NONE
+            const byNewest = (a, b) =>
+                b.get_attribute_uint64('time::modified') - a.get_attribute_uint64('time::modified');
+
+            let entries = [];
+            try {
+                for (;;) {
+                    const fileInfos = await enumerator.next_files_async(
+                        ENUMERATE_BATCH_SIZE,
+                        GLib.PRIORITY_DEFAULT,
+                        cancellable
                     );
-                } catch (e) {
-                    log(`[Obision] Error opening prefs: ${e}`);
+                    if (fileInfos.length === 0) break;
+
+                    // Only keep the newest entries so large folders stay cheap
+                    entries.push(...fileInfos.filter(info => !info.get_is_hidden()));
+                    entries = entries.sort(byNewest).slice(0, maxEntries);
                 }
+            } finally {
+                await enumerator.close_async(GLib.PRIORITY_DEFAULT, null);
+            }
+
+            if (entries.length === 0) {
+                return [
+                    new St.Label({
+                        text: 'Empty folder',
+                        style_class: 'desktop-icon-widget-empty',
+                    }),
+                ];
+            }
+
+            return entries.map(info => {
+                const row = new St.BoxLayout({ style_class: 'desktop-icon-widget-entry' });
+                row.add_child(new St.Icon({ gicon: info.get_icon(), icon_size: 16 }));
+
+                const label = new St.Label({
+                    text: info.get_display_name(),
+                    x_expand: true,
+                    y_align: Clutter.ActorAlign.CENTER,
+                });
+                label.clutter_text.ellipsize = Pango.EllipsizeMode.END;
+                row.add_child(label);
+                return row;
             });
-            this._desktopMenu.addMenuItem(prefsItem)
+        }
 
-            // Add menu to UI group (above windows)
-            Main.uiGroup.add_child(this._desktopMenu.actor);
+        /**
+         * First lines of a text file; Markdown headings and bullets are styled
+         */
+        async _buildTextPreview(cancellable) {
+            const stream = await this.getFile().read_async(GLib.PRIORITY_DEFAULT, cancellable);
+            let bytes;
+            try {
+                bytes = await stream.read_bytes_async(
+                    WIDGET_TEXT_BYTES,
+                    GLib.PRIORITY_DEFAULT,
+                    cancellable
+                );
+            } finally {
+                await stream.close_async(GLib.PRIORITY_DEFAULT, null);
+            }
 
-            // Force layout calculation before opening
-            this._desktopMenu.actor.show();
-            this._desktopMenu.actor.get_allocation_box();
+            const lines = new TextDecoder().decode(bytes.toArray()).split('\n');
+            const label = new St.Label({ style_class: 'desktop-icon-widget-text', x_expand: true });
+            label.clutter_text.set_line_wrap(true);
+            label.clutter_text.set_line_wrap_mode(Pango.WrapMode.WORD_CHAR);
 
-            // Position menu before opening
-            const monitor = Main.layoutManager.primaryMonitor;
-            const margin = 5;
-            const screenRight = monitor.x + monitor.width - margin;
-            const screenBottom = monitor.y + monitor.height - margin;
+            const contentType = this._fileInfo.get_content_type();
+            if (Gio.content_type_is_a(contentType, 'text/markdown')) {
+                const markup = lines.map(line => this._markdownLineToMarkup(line));
+                label.clutter_text.set_markup(markup.join('\n'));
+            } else {
+                label.set_text(lines.join('\n'));
+            }
+            return [label];
+        }
 
-            // Get menu dimensions (use preferred size)
-            const [minWidth, natWidth] = this._desktopMenu.actor.get_preferred_width(-1);
-            const [minHeight, natHeight] = this._desktopMenu.actor.get_preferred_height(-1);
-            const menuWidth = natWidth;
-            const menuHeight = natHeight;
+        _markdownLineToMarkup(line) {
+            const heading = line.match(/^#{1,6}\s+(.*)$/);
+            if (heading) {
+                return `<b>${GLib.markup_escape_text(heading[1], -1)}</b>`;
+            }
+            const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+            if (bullet) {
+                return `• ${GLib.markup_escape_text(bullet[1], -1)}`;
+            }
+            return GLib.markup_escape_text(line, -1);
+        }
 
-            let menuPosX = x;
-            let menuPosY = y;
+        /**
+         * The image fitted into the tile (its thumbnail when there is one)
+         */
+        _buildImagePreview(width, height) {
+            const file = this._getThumbnailFile() ?? this.getFile();
+            return [
+                new St.Icon({
+                    gicon: new Gio.FileIcon({ file }),
+                    icon_size: Math.min(width, height),
+                    style_class: 'desktop-icon-widget-image',
+                    x_expand: true,
+                    y_expand: true,
+                    x_align: Clutter.ActorAlign.CENTER,
+                    y_align: Clutter.ActorAlign.CENTER,
+                }),
+            ];
+        }
 
-            // Adjust horizontal position if menu goes off right edge
-            if (menuPosX + menuWidth > screenRight) {
-                menuPosX = x - menuWidth;
+        // ===== Notifications =====
+
+        /**
+         * Show a notification on this icon
+         * GObject's notify(propertyName) still works when given a string.
+         * Repeated notifications count up on the badge.
+         * @param {Object} options - Notification options
+         * @param {string} [options.message] - Text shown in the message bubble
+         * @param {string} [options.urgency='normal'] - silent, subtle, normal, attention or critical
+         * @param {number} [options.duration] - Auto-dismiss delay in ms, 0 keeps it until dismissed
+         * @param {boolean} [options.pulse] - Pulse the icon (default only for critical)
+         * @param {number} [options.badge] - Badge count to show instead of counting up
+         */
+        notify(options = {}) {
+            if (typeof options === 'string') {
+                super.notify(options);
+                return;
             }
 
-            // Adjust vertical position if menu goes off bottom edge
-            if (menuPosY + menuHeight > screenBottom) {
-                menuPosY = y - menuHeight;
+            const urgency = NOTIFICATION_LEVELS.includes(options.urgency)
+                ? options.urgency
+                : 'normal';
+            const previousCount = this._notification ? this._notification.count : 0;
+            this._notification = {
+                urgency,
+                message: options.message || null,
+                pulse: options.pulse ?? urgency === 'critical',
+                count: options.badge ?? previousCount + 1,
+            };
+
+            // Restart the auto-dismiss timer
+            if (this._notifyTimeoutId) {
+                GLib.source_remove(this._notifyTimeoutId);
+                this._notifyTimeoutId = null;
+            }
+            const duration = options.duration ?? NOTIFICATION_DURATIONS[urgency];
+            if (duration > 0) {
+                this._notifyTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, duration, () => {
+                    this._notifyTimeoutId = null;
+                    this.dismissNotification();
+                    return GLib.SOURCE_REMOVE;
+                });
             }
 
-            // Set position before opening
-            this._desktopMenu.actor.set_position(menuPosX, menuPosY);
+            this._renderNotification();
+        }
 
-            // Now open the menu
-            this._desktopMenu.open();
+        get isNotifying() {
+            return this._notification !== null;
+        }
 
-            // Close menu when clicking outside
-            this._menuCaptureId = global.stage.connect('captured-event', (actor, event) => {
-                if (event.type() === Clutter.EventType.BUTTON_PRESS) {
-                    const [clickX, clickY] = event.get_coords();
-                    const [menuX, menuY] = this._desktopMenu.actor.get_transformed_position();
-                    const menuW = this._desktopMenu.actor.width;
-                    const menuH = this._desktopMenu.actor.height;
+        dismissNotification() {
+            if (!this._notification) return;
 
-                    if (clickX < menuX || clickX > menuX + menuW ||
-                        clickY < menuY || clickY > menuY + menuH) {
-                        this._closeDesktopMenu();
-                    }
+            this._clearNotification();
+            this._renderNotification();
+        }
+
+        _clearNotification() {
+            this._notification = null;
+            if (this._notifyTimeoutId) {
+                GLib.source_remove(this._notifyTimeoutId);
+                this._notifyTimeoutId = null;
+            }
+            this._destroyNotifyBubble();
+        }
+
+        /**
+         * Show the current notification, capped by max-notification-level
+         * Silent shows a badge; subtle adds a glow (and pulse); normal adds a
+         * message bubble near the icon; attention and critical center it on
+         * screen. Do Not Disturb reduces everything to the badge.
+         */
+        _renderNotification() {
+            this.remove_style_class_name('notify-glow');
+            this._stopNotifyPulse();
+            this._destroyNotifyBubble();
+
+            if (!this._notification) {
+                if (this._badge) {
+                    this._badge.destroy();
+                    this._badge = null;
+                }
+                return;
+            }
+
+            const level = this._extension._capNotificationLevel(this._notification.urgency);
+            this._showNotifyBadge(level);
+
+            const doNotDisturb = this._extension._settings.get_boolean('do-not-disturb');
+            if (level === 'silent' || doNotDisturb) return;
+
+            this.add_style_class_name('notify-glow');
+            if (this._notification.pulse) {
+                this._startNotifyPulse();
+            }
+
+            if (level !== 'subtle') {
+                this._showNotifyBubble(level);
+            }
+        }
+
+        _showNotifyBadge(level) {
+            if (!this._badge) {
+                this._badge = new St.Label({
+                    x_expand: true,
+                    y_expand: true,
+                    x_align: Clutter.ActorAlign.END,
+                    y_align: Clutter.ActorAlign.START,
+                });
+                this._iconOverlay.add_child(this._badge);
+            }
+
+            const count = this._notification.count;
+            this._badge.style_class = `desktop-icon-badge badge-${level}`;
+            this._badge.text = count > 99 ? '99+' : `${count}`;
+        }
+
+        _showNotifyBubble(level) {
+            const { message } = this._notification;
+
+            const bubble = new St.BoxLayout({
+                vertical: true,
+                reactive: true,
+                style_class: `desktop-icon notifying level-${level}`,
+            });
+            if (message) {
+                bubble.add_style_class_name('has-message');
+            }
+
+            bubble.add_child(
+                new St.Icon({
+                    gicon: this._icon ? this._icon.gicon : this._fileInfo.get_icon(),
+                    icon_size: 48,
+                    x_align: Clutter.ActorAlign.CENTER,
+                })
+            );
+            bubble.add_child(
+                new St.Label({
+                    text: this.getDisplayName(),
+                    style_class: 'desktop-icon-label',
+                    x_align: Clutter.ActorAlign.CENTER,
+                })
+            );
+            if (message) {
+                const messageLabel = new St.Label({
+                    text: message,
+                    style_class: 'desktop-icon-notify-message',
+                    x_align: Clutter.ActorAlign.CENTER,
+                });
+                messageLabel.clutter_text.set_line_wrap(true);
+                messageLabel.clutter_text.set_line_wrap_mode(Pango.WrapMode.WORD_CHAR);
+                bubble.add_child(messageLabel);
+            }
+
+            // Clicking the bubble dismisses the notification
+            bubble.connect('button-press-event', () => {
+                this.dismissNotification();
+                return Clutter.EVENT_STOP;
+            });
+
+            Main.uiGroup.add_child(bubble);
+            this._notifyBubble = bubble;
+
+            // Normal: above the icon (below if there is no room); attention
+            // and critical: center of the icon's screen
+            const layoutManager = Main.layoutManager;
+            const monitor = layoutManager.findMonitorForActor(this) ?? layoutManager.primaryMonitor;
+            const [, bubbleWidth] = bubble.get_preferred_width(-1);
+            const [, bubbleHeight] = bubble.get_preferred_height(bubbleWidth);
+            let x, y;
+            if (level === 'normal') {
+                const [iconX, iconY] = this.get_transformed_position();
+                x = iconX + (this.width - bubbleWidth) / 2;
+                y = iconY - bubbleHeight - 8;
+                if (y < monitor.y) {
+                    y = iconY + this.height + 8;
+                }
+            } else {
+                x = monitor.x + (monitor.width - bubbleWidth) / 2;
+                y = monitor.y + (monitor.height - bubbleHeight) / 2;
+            }
+            x = Math.max(monitor.x, Math.min(x, monitor.x + monitor.width - bubbleWidth));
+            y = Math.max(monitor.y, Math.min(y, monitor.y + monitor.height - bubbleHeight));
+            bubble.set_position(Math.round(x), Math.round(y));
+
+            bubble.opacity = 0;
+            bubble.ease({
+                opacity: 255,
+                duration: 200,
+                mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+            });
+        }
+
+        _destroyNotifyBubble() {
+            if (this._notifyBubble) {
+                this._notifyBubble.destroy();
+                this._notifyBubble = null;
+            }
+        }
+
+        _startNotifyPulse() {
+            this._iconOverlay.set_pivot_point(0.5, 0.5);
+            this._iconOverlay.ease({
+                scale_x: 1.12,
+                scale_y: 1.12,
+                duration: NOTIFY_PULSE_DURATION,
+                mode: Clutter.AnimationMode.EASE_IN_OUT_QUAD,
+                repeatCount: -1,
+                autoReverse: true,
+            });
+        }
+
+        _stopNotifyPulse() {
+            this._iconOverlay.remove_all_transitions();
+            this._iconOverlay.set_scale(1, 1);
+        }
+
+        // ===== Inline Rename =====
+
+        /**
+         * Swap the label for an entry to rename the file in place
+         */
+        _startRename() {
+            if (this._renameEntry || this.isSpecial()) return;
+
+            this._renameEntry = new St.Entry({
+                style_class: 'desktop-icon-rename-entry',
+                text: this._fileName,
+                can_focus: true,
+                x_align: Clutter.ActorAlign.CENTER,
+                width: this._label.width,
+            });
+            this._label.hide();
+            this._innerBox.add_child(this._renameEntry);
+
+            const clutterText = this._renameEntry.clutter_text;
+            clutterText.connect('activate', () => this._finishRename(true));
+            clutterText.connect('key-focus-out', () => this._finishRename(true));
+            clutterText.connect('key-press-event', (actor, event) => {
+                if (event.get_key_symbol() === Clutter.KEY_Escape) {
+                    this._finishRename(false);
+                    return Clutter.EVENT_STOP;
                 }
                 return Clutter.EVENT_PROPAGATE;
             });
+
+            this._renameEntry.grab_key_focus();
+
+            // Select the name without its extension, like Nautilus
+            const dotIndex = this._fileName.lastIndexOf('.');
+            const isDirectory = this._fileInfo.get_file_type() === Gio.FileType.DIRECTORY;
+            const end = dotIndex > 0 && !isDirectory ? dotIndex : -1;
+            clutterText.set_selection(0, end);
         }
 
-        _closeDesktopMenu() {
-            if (this._menuCaptureId) {
-                global.stage.disconnect(this._menuCaptureId);
-                this._menuCaptureId = null;
+        _finishRename(commit) {
+            // Destroying the entry drops its focus, which calls us again
+            if (!this._renameEntry) return;
+
+            const entry = this._renameEntry;
+            const newName = entry.get_text().trim();
+            this._renameEntry = null;
+            entry.destroy();
+            this._label.show();
+            this.grab_key_focus();
+
+            if (commit && newName !== this._fileName) {
+                this._extension._renameDesktopItem(this, newName);
             }
-            if (this._desktopMenu) {
-                this._desktopMenu.close();
-                this._desktopMenu.destroy();
-                this._desktopMenu = null;
+        }
+
+        destroy() {
+            // Clean up context menu
+            this._closeContextMenu();
+            super.destroy();
+        }
+    }
+);
+
+/**
+ * Grid overlay that draws the visual grid lines/dots of one monitor's grid
+ */
+const GridOverlay = GObject.registerClass(
+    class GridOverlay extends St.DrawingArea {
+        _init(extension, grid) {
+            super._init({
+                reactive: false,
+            });
+
+            this._extension = extension;
+            this._grid = grid;
+            this.connect('repaint', this._onRepaint.bind(this));
+        }
+
+        _onRepaint() {
+            const settings = this._extension._settings;
+            if (!settings.get_boolean('grid-visible')) {
+                return;
+            }
+
+            const cr = this.get_context();
+            const [width, height] = this.get_surface_size();
+            const cellWidth = this._grid.getCellWidth();
+            const cellHeight = this._grid.getCellHeight();
+
+            // Parse color
+            const colorStr = settings.get_string('grid-color');
+            const color = this._parseColor(colorStr);
+            cr.setSourceRGBA(color.r, color.g, color.b, color.a);
+
+            const lineWidth = settings.get_int('grid-line-width');
+            cr.setLineWidth(lineWidth);
+
+            const dotsOnly = settings.get_boolean('grid-dots-only');
+            const pattern = settings.get_string('grid-line-pattern');
+
+            if (dotsOnly) {
+                this._drawDots(cr, width, height, cellWidth, cellHeight, lineWidth);
+            } else {
+                this._drawLines(cr, width, height, cellWidth, cellHeight, pattern);
+            }
+
+            cr.$dispose();
+        }
+
+        _parseColor(colorStr) {
+            // Parse CSS color format: rgba(r,g,b,a) or rgb(r,g,b) or hex
+            const rgbaMatch = colorStr.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
+            if (rgbaMatch) {
+                return {
+                    r: parseInt(rgbaMatch[1]) / 255,
+                    g: parseInt(rgbaMatch[2]) / 255,
+                    b: parseInt(rgbaMatch[3]) / 255,
+                    a: rgbaMatch[4] ? parseFloat(rgbaMatch[4]) : 1,
+                };
+            }
+            // Default fallback
+            return { r: 1, g: 1, b: 1, a: 0.3 };
+        }
+
+        _drawDots(cr, width, height, cellWidth, cellHeight, dotSize) {
+            const radius = Math.max(dotSize, 2);
+
+            for (let x = cellWidth; x < width; x += cellWidth) {
+                for (let y = cellHeight; y < height; y += cellHeight) {
+                    cr.arc(x, y, radius, 0, 2 * Math.PI);
+                    cr.fill();
+                }
+            }
+        }
+
+        _drawLines(cr, width, height, cellWidth, cellHeight, pattern) {
+            // Set dash pattern
+            if (pattern === 'dashed') {
+                cr.setDash([10, 5], 0);
+            } else if (pattern === 'dotted') {
+                cr.setDash([2, 4], 0);
+            }
+            // 'solid' = no dash
+
+            // Vertical lines
+            for (let x = cellWidth; x < width; x += cellWidth) {
+                cr.moveTo(x, 0);
+                cr.lineTo(x, height);
+            }
+
+            // Horizontal lines
+            for (let y = cellHeight; y < height; y += cellHeight) {
+                cr.moveTo(0, y);
+                cr.lineTo(width, y);
+            }
+
+            cr.stroke();
+        }
+
+        refresh() {
+            this.queue_repaint();
+        }
+    }
+);
+
+/**
+ * Desktop grid container that manages icon layout
+ */
+const DesktopGrid = GObject.registerClass(
+    class DesktopGrid extends St.Widget {
+        /**
+         * @param {Object} extension - The extension
+         * @param {number} monitorIndex - Index in Main.layoutManager.monitors
+         * @param {string} monitorId - Stable identity of the monitor (EDID or connector)
+         */
+        _init(extension, monitorIndex, monitorId) {
+            // Use NULL layout manager - we position children manually
+            super._init({
+                reactive: true,
+                can_focus: true,
+            });
+
+            this._extension = extension;
+            this._icons = [];
+            this._desktopMenu = null;
+            this.monitorIndex = monitorIndex;
+            this.monitorId = monitorId;
+
+            // Cell matrix and geometry of this monitor's work area
+            this._cells = null;
+            this._bounds = null;
+
+            // Stack tile standing in for icons that found no cell
+            this._overflowTile = null;
+            this._overflowMenu = null;
+
+            // Grid lines drawn underneath the icons
+            this._overlay = new GridOverlay(extension, this);
+
+            // Click on empty area
+            this.connect('button-press-event', (actor, event) => {
+                const button = event.get_button();
+
+                if (button === 1) {
+                    // Take keyboard focus so type-ahead works on the empty desktop
+                    this.grab_key_focus();
+
+                    // Left click - start rubber band selection
+                    // (Ctrl/Shift add to the current selection instead of replacing it)
+                    const [x, y] = event.get_coords();
+                    const state = event.get_state();
+                    const extend =
+                        (state & Clutter.ModifierType.CONTROL_MASK) !== 0 ||
+                        (state & Clutter.ModifierType.SHIFT_MASK) !== 0;
+                    this._extension._startRubberBand(this, x, y, extend);
+                    return Clutter.EVENT_STOP;
+                } else if (button === 3) {
+                    // Right click - show desktop menu
+                    const [x, y] = event.get_coords();
+                    this._showDesktopMenu(x, y);
+                    return Clutter.EVENT_STOP;
+                }
+                return Clutter.EVENT_PROPAGATE;
+            });
+
+            // Keys on the empty desktop, plus keys icons didn't handle
+            this.connect('key-press-event', (actor, event) => this._onKeyPress(event));
+        }
+
+        _onKeyPress(event) {
+            const symbol = event.get_key_symbol();
+            const state = event.get_state();
+            const shift = (state & Clutter.ModifierType.SHIFT_MASK) !== 0;
+            const ctrl = (state & Clutter.ModifierType.CONTROL_MASK) !== 0;
+            const alt = (state & Clutter.ModifierType.MOD1_MASK) !== 0;
+
+            // Arrows with no focused icon start at the first icon
+            if (ARROW_KEY_DIRECTIONS[symbol]) {
+                this._extension._focusDesktop();
+                return Clutter.EVENT_STOP;
+            }
+
+            if (symbol === Clutter.KEY_Escape) {
+                this._extension._deselectAll();
+                return Clutter.EVENT_STOP;
+            }
+
+            // Only while the desktop has focus, so windows keep their own Ctrl+Z
+            if (this._extension._matchesShortcut('obision-desk-undo', event)) {
+                this._extension.undo();
+                return Clutter.EVENT_STOP;
+            }
+            if (this._extension._matchesShortcut('obision-desk-redo', event)) {
+                this._extension.redo();
+                return Clutter.EVENT_STOP;
+            }
+
+            // Clipboard: copy or cut the selection, paste at the first free cells
+            if (ctrl && !alt && !shift) {
+                const key = String.fromCharCode(Clutter.keysym_to_unicode(symbol)).toLowerCase();
+                if (key === 'c' || key === 'x') {
+                    this._extension._copyIcons(this._extension._getSelectedIcons(), key === 'x');
+                    return Clutter.EVENT_STOP;
+                }
+                if (key === 'v') {
+                    this._extension._paste();
+                    return Clutter.EVENT_STOP;
+                }
+            }
+
+            if (symbol === Clutter.KEY_Menu || (symbol === Clutter.KEY_F10 && shift)) {
+                const [gridX, gridY] = this.get_transformed_position();
+                this._showDesktopMenu(gridX + this.width / 2, gridY + this.height / 2);
+                this._desktopMenu?.actor.navigate_focus(null, St.DirectionType.TAB_FORWARD, false);
+                return Clutter.EVENT_STOP;
+            }
+
+            // Typing letters jumps to the first matching label
+            const unicode = event.get_key_unicode();
+            if (!ctrl && !alt && unicode && GLib.unichar_isprint(unicode)) {
+                this._extension._typeAhead(unicode);
+                return Clutter.EVENT_STOP;
+            }
+
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        _showDesktopMenu(x, y) {
+            this._closeDesktopMenu();
+
+            // Create a dummy actor at mouse position to anchor the menu
+            this._menuAnchor = new St.Widget({
+                x: x,
+                y: y,
+                width: 1,
+                height: 1,
+                reactive: false,
+            });
+            Main.uiGroup.add_child(this._menuAnchor);
+
+            // Create popup menu anchored to dummy widget
+            this._desktopMenu = new PopupMenu.PopupMenu(this._menuAnchor, 0, St.Side.TOP);
+
+            // Undo/Redo items name the action they revert or repeat
+            const undoAction = this._extension._undoStack.at(-1);
+            const undoLabel = undoAction ? `Undo ${undoAction.label}` : 'Undo';
+            const undoItem = new PopupMenu.PopupMenuItem(undoLabel);
+            undoItem.setSensitive(!!undoAction);
+            undoItem.connect('activate', () => this._extension.undo());
+            addAcceleratorHint(undoItem, 'Ctrl+Z');
+            this._desktopMenu.addMenuItem(undoItem);
+
+            const redoAction = this._extension._redoStack.at(-1);
+            const redoLabel = redoAction ? `Redo ${redoAction.label}` : 'Redo';
+            const redoItem = new PopupMenu.PopupMenuItem(redoLabel);
+            redoItem.setSensitive(!!redoAction);
+            redoItem.connect('activate', () => this._extension.redo());
+            addAcceleratorHint(redoItem, 'Shift+Ctrl+Z');
+            this._desktopMenu.addMenuItem(redoItem);
+
+            this._desktopMenu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+            // Create Folder item with accelerator
+            const createFolderItem = new PopupMenu.PopupMenuItem('Create Folder...');
+            createFolderItem.connect('activate', () => {
+                this._showNewFolderDialog();
+            });
+            addAcceleratorHint(createFolderItem, 'Shift+Ctrl+N');
+            this._desktopMenu.addMenuItem(createFolderItem);
+
+            // New documents and pasted files land at the cell the menu was opened on
+            const [gridX, gridY] = this.get_transformed_position();
+            const menuCell = this.getCellAtPixel(x - gridX, y - gridY);
+
+            const templatesSubMenu = new PopupMenu.PopupSubMenuMenuItem('New Document');
+            this._addTemplateItems(templatesSubMenu.menu, this._extension._templates, menuCell);
+            this._desktopMenu.addMenuItem(templatesSubMenu);
+
+            const pasteItem = new PopupMenu.PopupMenuItem('Paste');
+            pasteItem.setSensitive(this._extension._hasCopiedFiles());
+            pasteItem.connect('activate', () => {
+                this._extension._paste(this, menuCell?.col, menuCell?.row);
+            });
+            addAcceleratorHint(pasteItem, 'Ctrl+V');
+            this._desktopMenu.addMenuItem(pasteItem);
+
+            // Arrange by submenu - re-flows every icon by the chosen key
+            const settings = this._extension._settings;
+            const arrangeSubMenu = new PopupMenu.PopupSubMenuMenuItem('Arrange by...');
+            const currentSort = settings.get_string('sort-by');
+            for (const [sortBy, label] of Object.entries(SORT_KEY_LABELS)) {
+                const sortItem = new PopupMenu.PopupMenuItem(label);
+                if (sortBy === currentSort) {
+                    sortItem.setOrnament(PopupMenu.Ornament.CHECK);
+                }
+                sortItem.connect('activate', () => {
+                    this._extension._arrangeBy(sortBy);
+                });
+                arrangeSubMenu.menu.addMenuItem(sortItem);
+            }
+            arrangeSubMenu.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+            const keepArrangedItem = new PopupMenu.PopupSwitchMenuItem(
+                'Keep Arranged',
+                settings.get_boolean('keep-arranged')
+            );
+            keepArrangedItem.connect('toggled', (item, state) => {
+                settings.set_boolean('keep-arranged', state);
+            });
+            arrangeSubMenu.menu.addMenuItem(keepArrangedItem);
+            this._desktopMenu.addMenuItem(arrangeSubMenu);
+
+            this._desktopMenu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+            // Check if obision-ext-one-win is installed
+            try {
+                const oneWinExtension = Main.extensionManager.lookup('obision-ext-one-win@obision.com');
+
+                log(`[Obision] One Win extension lookup result: ${oneWinExtension ? 'found' : 'not found'}`);
+
+                if (oneWinExtension) {
+                    log(`[Obision] One Win extension state: ${oneWinExtension.state}`);
+
+                    // Check current state when menu opens (state 1 = ENABLED)
+                    const isCurrentlyEnabled = oneWinExtension.state === 1;
+                    const oneWinItem = new PopupMenu.PopupSwitchMenuItem('One Win Mode', isCurrentlyEnabled);
+
+                    oneWinItem.connect('toggled', (item, state) => {
+                        if (state) {
+                            // Enable the extension
+                            try {
+                                Gio.Subprocess.new(
+                                    ['gnome-extensions', 'enable', 'obision-ext-one-win@obision.com'],
+                                    Gio.SubprocessFlags.NONE
+                                );
+                            } catch (e) {
+                                log(`[Obision] Error enabling One Win extension: ${e}`);
+                            }
+                        } else {
+                            // Disable the extension
+                            try {
+                                Gio.Subprocess.new(
+                                    ['gnome-extensions', 'disable', 'obision-ext-one-win@obision.com'],
+                                    Gio.SubprocessFlags.NONE
+                                );
+                            } catch (e) {
+                                log(`[Obision] Error disabling One Win extension: ${e}`);
+                            }
+                        }
+                    });
+
+                    this._desktopMenu.addMenuItem(oneWinItem);
+                    log(`[Obision] One Win menu item added`);
+                } else {
+                    // Add placeholder to show extension is not installed
+                    const notInstalledItem = new PopupMenu.PopupMenuItem('One Win (no instalado)');
+                    notInstalledItem.setSensitive(false);
+                    this._desktopMenu.addMenuItem(notInstalledItem);
+                    log(`[Obision] One Win extension not installed, added placeholder`);
+                }
+            } catch (e) {
+                log(`[Obision] Error checking One Win extension: ${e}\n${e.stack}`);
+            }
+
+            this._desktopMenu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+            // Preferences item
+            const prefsItem = new PopupMenu.PopupMenuItem('Preferences...');
+            prefsItem.connect('activate', () => {
+                try {
+                    Gio.Subprocess.new(
+                        ['gnome-extensions', 'prefs', 'obision-ext-desk-grid@obision.com'],
+                        Gio.SubprocessFlags.NONE
+                    );
+                } catch (e) {
+                    log(`[Obision] Error opening prefs: ${e}`);
+                }
+            });
+            this._desktopMenu.addMenuItem(prefsItem)
+
+            // Add menu to UI group (above windows)
+            Main.uiGroup.add_child(this._desktopMenu.actor);
+
+            // Force layout calculation before opening
+            this._desktopMenu.actor.show();
+            this._desktopMenu.actor.get_allocation_box();
+
+            // Position menu before opening, within this grid's monitor
+            const monitor = Main.layoutManager.monitors[this.monitorIndex];
+            const margin = 5;
+            const screenRight = monitor.x + monitor.width - margin;
+            const screenBottom = monitor.y + monitor.height - margin;
+
+            // Get menu dimensions (use preferred size)
+            const [minWidth, natWidth] = this._desktopMenu.actor.get_preferred_width(-1);
+            const [minHeight, natHeight] = this._desktopMenu.actor.get_preferred_height(-1);
+            const menuWidth = natWidth;
+            const menuHeight = natHeight;
+
+            let menuPosX = x;
+            let menuPosY = y;
+
+            // Adjust horizontal position if menu goes off right edge
+            if (menuPosX + menuWidth > screenRight) {
+                menuPosX = x - menuWidth;
+            }
+
+            // Adjust vertical position if menu goes off bottom edge
+            if (menuPosY + menuHeight > screenBottom) {
+                menuPosY = y - menuHeight;
+            }
+
+            // Set position before opening
+            this._desktopMenu.actor.set_position(menuPosX, menuPosY);
+
+            // Now open the menu
+            this._desktopMenu.open();
+
+            // Close menu when clicking outside
+            this._menuCaptureId = global.stage.connect('captured-event', (actor, event) => {
+                if (event.type() === Clutter.EventType.BUTTON_PRESS) {
+                    const [clickX, clickY] = event.get_coords();
+                    const [menuX, menuY] = this._desktopMenu.actor.get_transformed_position();
+                    const menuW = this._desktopMenu.actor.width;
+                    const menuH = this._desktopMenu.actor.height;
+
+                    if (clickX < menuX || clickX > menuX + menuW ||
+                        clickY < menuY || clickY > menuY + menuH) {
+                        this._closeDesktopMenu();
+                    }
+                }
+                return Clutter.EVENT_PROPAGATE;
+            });
+        }
+
+        _closeDesktopMenu() {
+            if (this._menuCaptureId) {
+                global.stage.disconnect(this._menuCaptureId);
+                this._menuCaptureId = null;
+            }
+            if (this._desktopMenu) {
+                this._desktopMenu.close();
+                this._desktopMenu.destroy();
+                this._desktopMenu = null;
+            }
+            if (this._menuAnchor) {
+                this._menuAnchor.destroy();
+                this._menuAnchor = null;
+            }
+        }
+
+        /**
+         * Ask for a name and pass it to callback
+         * @param {string} [text] - Initial name; the part before the
+         *   extension is selected so typing replaces it
+         */
+        _showCreateDialog(title, message, placeholder, callback, text = '') {
+            // Close menu first
+            this._closeDesktopMenu();
+
+            // Create modal dialog
+            const dialog = new ModalDialog.ModalDialog({
+                styleClass: 'modal-dialog',
+                destroyOnClose: true,
+            });
+
+            // Dialog content
+            const contentBox = new St.BoxLayout({
+                vertical: true,
+                style: 'spacing: 12px; padding: 12px;',
+            });
+
+            const titleLabel = new St.Label({
+                text: title,
+                style_class: 'dialog-header',
+                style: 'font-weight: bold; font-size: 1.2em; margin-bottom: 8px;',
+            });
+            contentBox.add_child(titleLabel);
+
+            const messageLabel = new St.Label({
+                text: message,
+                style: 'color: rgba(255,255,255,0.7);',
+            });
+            contentBox.add_child(messageLabel);
+
+            // Text entry
+            const entry = new St.Entry({
+                style: 'margin-top: 8px; min-width: 300px;',
+                text: '',
+                hint_text: placeholder,
+                can_focus: true,
+            });
+            contentBox.add_child(entry);
+
+            dialog.contentLayout.add_child(contentBox);
+
+            // Add buttons
+            dialog.addButton({
+                label: 'Cancel',
+                action: () => {
+                    dialog.close();
+                },
+                key: Clutter.KEY_Escape,
+            });
+
+            const createButton = dialog.addButton({
+                label: 'Create',
+                action: () => {
+                    const name = entry.get_text().trim();
+                    if (name) {
+                        callback(name);
+                    }
+                    dialog.close();
+                },
+                default: true,
+            });
+
+            // Style Create button with accent color
+            const buttonColor = this._extension._getAccentColor('rgb');
+            createButton.set_style(`background-color: ${buttonColor}; color: white; font-weight: bold;`);
+
+            // Disable button by default (empty field)
+            createButton.reactive = false;
+            createButton.can_focus = false;
+            createButton.set_opacity(128);
+
+            // Enable/disable Create button based on text input
+            entry.clutter_text.connect('text-changed', () => {
+                const text = entry.get_text().trim();
+                const hasText = text.length > 0;
+                createButton.reactive = hasText;
+                createButton.can_focus = hasText;
+                createButton.set_opacity(hasText ? 255 : 128);
+            });
+            entry.set_text(text);
+
+            // Handle Enter key in text entry
+            entry.clutter_text.connect('activate', () => {
+                const name = entry.get_text().trim();
+                if (name) {
+                    callback(name);
+                    dialog.close();
+                }
+            });
+
+            dialog.open();
+
+            // Focus entry
+            global.stage.set_key_focus(entry);
+            if (text) {
+                const dot = text.lastIndexOf('.');
+                entry.clutter_text.set_selection(0, dot > 0 ? dot : text.length);
+            }
+        }
+
+        _showAlertDialog(title, message) {
+            // Create alert dialog using MessageDialogContent
+            const dialog = new ModalDialog.ModalDialog({
+                styleClass: 'modal-dialog',
+                destroyOnClose: true,
+            });
+
+            // Use MessageDialogContent for proper dialog structure
+            const content = new Dialog.MessageDialogContent({ title, description: message });
+            dialog.contentLayout.add_child(content);
+
+            // Add OK button
+            dialog.addButton({
+                label: 'OK',
+                action: () => {
+                    dialog.close();
+                },
+                default: true,
+                key: Clutter.KEY_Return,
+            });
+
+            dialog.open();
+        }
+
+        /**
+         * Add an item per template, and a submenu per template folder
+         * @param {object[]} templates - Entries of the extension's template tree
+         * @param {object} [cell] - Cell the new document is placed at
+         */
+        _addTemplateItems(menu, templates, cell) {
+            if (templates.length === 0) {
+                const emptyItem = new PopupMenu.PopupMenuItem('No Templates', { reactive: false });
+                menu.addMenuItem(emptyItem);
+                return;
+            }
+
+            for (const template of templates) {
+                if (template.children) {
+                    const subMenu = new PopupMenu.PopupSubMenuMenuItem(template.label);
+                    this._addTemplateItems(subMenu.menu, template.children, cell);
+                    menu.addMenuItem(subMenu);
+                    continue;
+                }
+
+                const item = new PopupMenu.PopupImageMenuItem(template.label, template.gicon);
+                item.connect('activate', () => {
+                    const create = name => {
+                        this._extension._createFromTemplate(template.file, name, this, cell);
+                    };
+                    this._showCreateDialog(
+                        'New Document',
+                        'Enter document name:',
+                        template.name,
+                        create,
+                        template.name
+                    );
+                });
+                menu.addMenuItem(item);
+            }
+        }
+
+        _showNewFolderDialog() {
+            this._showCreateDialog(
+                'Create Folder',
+                'Enter folder name:',
+                'New Folder',
+                (folderName) => this._createFolder(folderName)
+            );
+        }
+
+        async _createFolder(folderName) {
+            const desktopPath = GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_DESKTOP);
+            const folderPath = GLib.build_filenamev([desktopPath, folderName]);
+            const folder = Gio.File.new_for_path(folderPath);
+
+            // Check if folder already exists
+            if (folder.query_exists(null)) {
+                log(`[Obision] Folder already exists: ${folderName}`);
+                const message = `A folder named "${folderName}" already exists.`;
+                this._showAlertDialog('Folder Exists', message);
+                return;
+            }
+
+            // Create the folder (the file monitor adds its icon)
+            const fileOperations = this._extension._fileOperations;
+            if (!(await fileOperations.makeDirectory(folder))) return;
+            log(`[Obision] Created folder: ${folderName}`);
+
+            // Undo only removes the folder while it is still empty
+            this._extension._pushUndo(
+                'Create Folder',
+                async () =>
+                    this._extension._requireResults(
+                        await fileOperations.delete([folder], 'Deleting', false)
+                    ),
+                async () => {
+                    if (!(await fileOperations.makeDirectory(folder))) {
+                        throw new FileOperationError(`Could not create "${folderName}"`);
+                    }
+                }
+            );
+        }
+
+        /**
+         * Fit the grid into its monitor's work area and rebuild the cell matrix
+         */
+        updatePosition() {
+            const monitor = Main.layoutManager.monitors[this.monitorIndex];
+            if (!monitor) return;
+
+            const workArea = Main.layoutManager.getWorkAreaForMonitor(monitor.index);
+            const settings = this._extension._settings;
+            const columns = settings.get_int('grid-columns');
+            const rows = settings.get_int('grid-rows');
+
+            // Calculate cell size (integer division)
+            const cellWidth = Math.floor(workArea.width / columns);
+            const cellHeight = Math.floor(workArea.height / rows);
+
+            // Calculate actual grid size (may be slightly smaller than workArea)
+            const gridWidth = cellWidth * columns;
+            const gridHeight = cellHeight * rows;
+
+            // Center the grid in the work area to distribute leftover pixels evenly
+            const offsetX = Math.floor((workArea.width - gridWidth) / 2);
+            const offsetY = Math.floor((workArea.height - gridHeight) / 2);
+
+            const gridX = workArea.x + offsetX;
+            const gridY = workArea.y + offsetY;
+
+            // Store grid bounds for cell calculations
+            this._bounds = {
+                x: gridX,
+                y: gridY,
+                width: gridWidth,
+                height: gridHeight,
+                cellWidth: cellWidth,
+                cellHeight: cellHeight,
+            };
+
+            // Position grid overlay
+            this._overlay.set_position(gridX, gridY);
+            this._overlay.set_size(gridWidth, gridHeight);
+            this._overlay.refresh();
+
+            // Position icon container - use exact grid size
+            this.set_position(gridX, gridY);
+            this.set_size(gridWidth, gridHeight);
+
+            // Rebuild cell grid when position changes
+            this._buildCellGrid();
+        }
+
+        /**
+         * Whether a stage point is on this grid's monitor
+         */
+        containsPoint(stageX, stageY) {
+            const monitor = Main.layoutManager.monitors[this.monitorIndex];
+            return (
+                !!monitor &&
+                stageX >= monitor.x &&
+                stageX < monitor.x + monitor.width &&
+                stageY >= monitor.y &&
+                stageY < monitor.y + monitor.height
+            );
+        }
+
+        /**
+         * Build the bidimensional cell grid structure
+         * Each cell contains: x, y, width, height, icon reference, occupied status
+         */
+        _buildCellGrid() {
+            const settings = this._extension._settings;
+            const columns = settings.get_int('grid-columns');
+            const rows = settings.get_int('grid-rows');
+            const cellWidth = this.getCellWidth();
+            const cellHeight = this.getCellHeight();
+
+            // The overflow tile's cell goes with the old matrix
+            this._removeOverflowTile();
+
+            // Initialize 2D array
+            this._cells = [];
+
+            for (let col = 0; col < columns; col++) {
+                this._cells[col] = [];
+                for (let row = 0; row < rows; row++) {
+                    this._cells[col][row] = {
+                        col: col,
+                        row: row,
+                        x: col * cellWidth,
+                        y: row * cellHeight,
+                        width: cellWidth,
+                        height: cellHeight,
+                        icon: null,
+                        occupied: false,
+                    };
+                }
+            }
+
+            log(
+                `[Obision] Cell grid built for monitor ${this.monitorId}: ` +
+                    `${columns}x${rows}, cell size: ${cellWidth}x${cellHeight}`
+            );
+        }
+
+        /**
+         * Get cell at column, row
+         */
+        getCell(col, row) {
+            if (!this._cells) return null;
+            if (col < 0 || row < 0) return null;
+            if (col >= this._cells.length) return null;
+            if (row >= this._cells[col].length) return null;
+            return this._cells[col][row];
+        }
+
+        /**
+         * Get cell at pixel coordinates
+         */
+        getCellAtPixel(x, y) {
+            const col = Math.floor(x / this.getCellWidth());
+            const row = Math.floor(y / this.getCellHeight());
+            return this.getCell(col, row);
+        }
+
+        /**
+         * Place icon in cell (marks cells as occupied for multi-cell icons)
+         */
+        placeIconInCell(icon, col, row) {
+            this._reserveIconCells(icon, col, row);
+
+            // Position the icon at the cell's pixel position
+            const cell = this.getCell(col, row);
+            if (cell) {
+                icon.set_position(cell.x, cell.y);
+            }
+        }
+
+        /**
+         * Mark all cells an icon occupies, without moving the icon
+         */
+        _reserveIconCells(icon, col, row) {
+            const cellSize = icon._cellSize || { cols: 1, rows: 1 };
+
+            // An icon with cells is no longer overflowing
+            if (icon._overflow) {
+                icon._overflow = false;
+                icon.show();
+            }
+
+            for (let dc = 0; dc < cellSize.cols; dc++) {
+                for (let dr = 0; dr < cellSize.rows; dr++) {
+                    const cell = this.getCell(col + dc, row + dr);
+                    if (cell) {
+                        cell.occupied = true;
+                        cell.icon = icon;
+                    }
+                }
+            }
+        }
+
+        /**
+         * Remove icon from its cells
+         */
+        removeIconFromCells(icon) {
+            if (!this._cells) return;
+
+            for (const column of this._cells) {
+                for (const cell of column) {
+                    if (cell.icon === icon) {
+                        cell.icon = null;
+                        cell.occupied = false;
+                    }
+                }
+            }
+        }
+
+        /**
+         * Check if cells are free for placing an icon
+         */
+        areCellsFree(col, row, cellSize, excludeIcon = null) {
+            const cols = cellSize.cols || 1;
+            const rows = cellSize.rows || 1;
+
+            for (let dc = 0; dc < cols; dc++) {
+                for (let dr = 0; dr < rows; dr++) {
+                    const cell = this.getCell(col + dc, row + dr);
+                    if (!cell) return false; // Out of bounds
+                    if (cell.occupied && cell.icon !== excludeIcon) return false;
+                }
+            }
+            return true;
+        }
+
+        /**
+         * Find first free cell that can fit the icon
+         */
+        findFreeCell(cellSize, excludeIcon = null) {
+            const settings = this._extension._settings;
+            const columns = settings.get_int('grid-columns');
+            const rows = settings.get_int('grid-rows');
+
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < columns; col++) {
+                    if (this.areCellsFree(col, row, cellSize, excludeIcon)) {
+                        return { col, row };
+                    }
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Find nearest free cell to target position
+         */
+        findNearestFreeCell(targetCol, targetRow, cellSize, excludeIcon = null) {
+            // Try target cell first
+            if (this.areCellsFree(targetCol, targetRow, cellSize, excludeIcon)) {
+                return { col: targetCol, row: targetRow };
+            }
+
+            // Spiral search
+            const maxRadius = 20;
+            for (let radius = 1; radius <= maxRadius; radius++) {
+                for (let dc = -radius; dc <= radius; dc++) {
+                    for (let dr = -radius; dr <= radius; dr++) {
+                        if (Math.abs(dc) !== radius && Math.abs(dr) !== radius) continue;
+
+                        const col = targetCol + dc;
+                        const row = targetRow + dr;
+
+                        if (col < 0 || row < 0) continue;
+
+                        if (this.areCellsFree(col, row, cellSize, excludeIcon)) {
+                            return { col, row };
+                        }
+                    }
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Show, update or remove the overflow tile for the icons of this grid
+         * that found no cell
+         * The tile takes the last cell; an icon already there joins the stack.
+         */
+        _updateOverflowTile() {
+            const hidden = this._icons.filter(icon => icon._overflow);
+            if (hidden.length === 0) {
+                this._removeOverflowTile();
+                return;
+            }
+
+            if (!this._overflowTile) {
+                const lastColumn = this._cells?.[this._cells.length - 1];
+                const cell = lastColumn?.[lastColumn.length - 1];
+                if (!cell) return;
+
+                const evicted = cell.icon;
+                if (evicted) {
+                    this.removeIconFromCells(evicted);
+                    evicted.deselect();
+                    evicted._overflow = true;
+                    evicted.hide();
+                    hidden.push(evicted);
+                }
+
+                this._overflowLabel = new St.Label({
+                    style_class: 'desktop-overflow-tile-label',
+                    x_align: Clutter.ActorAlign.CENTER,
+                });
+                const box = new St.BoxLayout({
+                    vertical: true,
+                    x_align: Clutter.ActorAlign.CENTER,
+                    y_align: Clutter.ActorAlign.CENTER,
+                });
+                box.add_child(
+                    new St.Icon({
+                        icon_name: 'view-more-horizontal-symbolic',
+                        icon_size: Math.round(this._extension._getIconSize(this) / 2),
+                    })
+                );
+                box.add_child(this._overflowLabel);
+
+                this._overflowTile = new St.Button({
+                    style_class: 'desktop-overflow-tile',
+                    child: box,
+                    x: cell.x,
+                    y: cell.y,
+                    width: cell.width,
+                    height: cell.height,
+                });
+                this._overflowTile.connect('clicked', () => this._showOverflowMenu());
+                this.add_child(this._overflowTile);
+
+                cell.occupied = true;
+                cell.icon = this._overflowTile;
+            }
+
+            this._overflowLabel.text = `${hidden.length} more`;
+        }
+
+        _removeOverflowTile() {
+            this._closeOverflowMenu();
+            if (!this._overflowTile) return;
+
+            this.removeIconFromCells(this._overflowTile);
+            this._overflowTile.destroy();
+            this._overflowTile = null;
+            this._overflowLabel = null;
+        }
+
+        /**
+         * List the icons hidden behind the overflow tile; picking one opens it
+         */
+        _showOverflowMenu() {
+            this._closeOverflowMenu();
+
+            this._overflowMenu = new PopupMenu.PopupMenu(this._overflowTile, 0.5, St.Side.TOP);
+            for (const icon of this._icons.filter(other => other._overflow)) {
+                const item = new PopupMenu.PopupImageMenuItem(
+                    icon.getDisplayName(),
+                    icon._fileInfo.get_icon()
+                );
+                item.connect('activate', () => icon._open());
+                this._overflowMenu.addMenuItem(item);
+            }
+
+            Main.uiGroup.add_child(this._overflowMenu.actor);
+            this._overflowMenuManager = new PopupMenu.PopupMenuManager(this._overflowTile);
+            this._overflowMenuManager.addMenu(this._overflowMenu);
+            this._overflowMenu.connect('open-state-changed', (menu, isOpen) => {
+                if (!isOpen) {
+                    GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+                        if (this._overflowMenu === menu) {
+                            this._closeOverflowMenu();
+                        }
+                        return GLib.SOURCE_REMOVE;
+                    });
+                }
+            });
+            this._overflowMenu.open();
+        }
+
+        _closeOverflowMenu() {
+            if (this._overflowMenu) {
+                const menu = this._overflowMenu;
+                this._overflowMenu = null;
+                this._overflowMenuManager = null;
+                menu.destroy();
+            }
+        }
+
+        getCellWidth() {
+            // Use cached value if available
+            if (this._bounds?.cellWidth) {
+                return this._bounds.cellWidth;
+            }
+            const monitor = Main.layoutManager.monitors[this.monitorIndex];
+            if (!monitor) return 80;
+            const workArea = Main.layoutManager.getWorkAreaForMonitor(monitor.index);
+            const columns = this._extension._settings.get_int('grid-columns');
+            return Math.floor(workArea.width / columns);
+        }
+
+        getCellHeight() {
+            // Use cached value if available
+            if (this._bounds?.cellHeight) {
+                return this._bounds.cellHeight;
+            }
+            const monitor = Main.layoutManager.monitors[this.monitorIndex];
+            if (!monitor) return 100;
+            const workArea = Main.layoutManager.getWorkAreaForMonitor(monitor.index);
+            const rows = this._extension._settings.get_int('grid-rows');
+            return Math.floor(workArea.height / rows);
+        }
+
+        addIcon(icon, x, y) {
+            this._icons.push(icon);
+            this.add_child(icon);
+            icon._desktopGrid = this;
+
+            // Position icon using fixed coordinates
+            icon.set_position(x, y);
+        }
+
+        removeIcon(icon) {
+            const index = this._icons.indexOf(icon);
+            if (index > -1) {
+                this._icons.splice(index, 1);
+                icon.destroy();
+            }
+        }
+
+        /**
+         * Take an icon off this grid without destroying it, so another grid
+         * can adopt it
+         */
+        releaseIcon(icon) {
+            const index = this._icons.indexOf(icon);
+            if (index > -1) {
+                this._icons.splice(index, 1);
+                this.removeIconFromCells(icon);
+                this.remove_child(icon);
+                icon._desktopGrid = null;
+            }
+        }
+
+        clearIcons() {
+            for (const icon of this._icons) {
+                icon.destroy();
+            }
+            this._icons = [];
+        }
+
+        getIcons() {
+            return this._icons;
+        }
+
+        repositionIcons() {
+            const cellWidth = this.getCellWidth();
+            const cellHeight = this.getCellHeight();
+            const iconSize = this._extension._getIconSize(this);
+            const columns = this._extension._settings.get_int('grid-columns');
+
+            let col = 0;
+            let row = 0;
+
+            for (const icon of this._icons) {
+                const x = col * cellWidth;
+                const y = row * cellHeight;
+
+                icon.set_position(x, y);
+                icon.updateSize(iconSize);
+
+                col++;
+                if (col >= columns) {
+                    col = 0;
+                    row++;
+                }
+            }
+        }
+
+        destroy() {
+            this._closeDesktopMenu();
+            this._removeOverflowTile();
+            this.clearIcons();
+            this._overlay.destroy();
+            super.destroy();
+        }
+    }
+);
+
+/**
+ * Session bus service exposing the notification and layout API
+ * Icons are addressed by file name; Trash and Home use ___TRASH___ and ___HOME___
+ */
+class DeskGridDBusService {
+    constructor(extension) {
+        this._extension = extension;
+        this._impl = Gio.DBusExportedObject.wrapJSObject(DBUS_INTERFACE_XML, this);
+    }
+
+    export() {
+        this._impl.export(Gio.DBus.session, DBUS_PATH);
+        this._nameId = Gio.bus_own_name_on_connection(
+            Gio.DBus.session,
+            DBUS_NAME,
+            Gio.BusNameOwnerFlags.NONE,
+            null,
+            () => log(`[Obision] Could not own D-Bus name ${DBUS_NAME}`)
+        );
+    }
+
+    unexport() {
+        if (this._nameId) {
+            Gio.bus_unown_name(this._nameId);
+            this._nameId = 0;
+        }
+        this._impl.unexport();
+    }
+
+    emitIconMoved(fileName, col, row) {
+        this._impl.emit_signal('IconMoved', new GLib.Variant('(sii)', [fileName, col, row]));
+    }
+
+    emitIconActivated(fileName) {
+        this._impl.emit_signal('IconActivated', new GLib.Variant('(s)', [fileName]));
+    }
+
+    _getIcon(fileName) {
+        const icon = this._extension._findIconByName(fileName);
+        if (!icon) {
+            this._throwInvalidArgs(`No desktop icon named "${fileName}"`);
+        }
+        return icon;
+    }
+
+    _throwInvalidArgs(message) {
+        throw new GLib.Error(Gio.DBusError, Gio.DBusError.INVALID_ARGS, message);
+    }
+
+    Notify(fileName, options) {
+        // Option values arrive as variants
+        const unpacked = {};
+        for (const [key, value] of Object.entries(options)) {
+            unpacked[key] = value.deepUnpack();
+        }
+        return this._extension.notifyIcon(fileName, unpacked);
+    }
+
+    Dismiss(fileName) {
+        this._extension.dismissIconNotification(fileName);
+    }
+
+    DismissAll() {
+        this._extension.dismissAllNotifications();
+    }
+
+    ListIcons() {
+        return this._extension._getIcons().map(icon => {
+            const { col, row } = this._extension._getIconCell(icon);
+            const { cols, rows } = icon._cellSize;
+            return [icon._fileName, col, row, cols, rows];
+        });
+    }
+
+    GetIconCell(fileName) {
+        const { col, row } = this._extension._getIconCell(this._getIcon(fileName));
+        return [col, row];
+    }
+
+    GetIconSize(fileName) {
+        const { cols, rows } = this._getIcon(fileName)._cellSize;
+        return [cols, rows];
+    }
+
+    PlaceIcon(fileName, col, row) {
+        if (col < 0 || row < 0) {
+            this._throwInvalidArgs('Column and row must not be negative');
+        }
+        if (!this._extension.placeIcon(fileName, col, row)) {
+            this._throwInvalidArgs(`"${fileName}" does not fit at ${col},${row}`);
+        }
+    }
+
+    SetIconSize(fileName, size) {
+        if (!ICON_CELL_SIZES[size]) {
+            this._throwInvalidArgs(`Unknown size "${size}"`);
+        }
+        this._extension.setIconSize(fileName, size);
+    }
+
+    SetIconElevation(fileName, level) {
+        if (level < 0 || level > 3) {
+            this._throwInvalidArgs('Elevation must be between 0 and 3');
+        }
+        this._extension.setIconElevation(fileName, level);
+    }
+
+    SetIconBackground(fileName, style) {
+        if (!ICON_BACKGROUNDS.includes(style)) {
+            this._throwInvalidArgs(`Unknown background "${style}"`);
+        }
+        this._extension.setIconBackground(fileName, style);
+    }
+
+    SetIconWidget(fileName, enabled) {
+        this._extension.setIconWidget(fileName, enabled);
+    }
+}
+
+/**
+ * A file operation that changed nothing; its failures were already reported
+ */
+class FileOperationError extends Error {}
+
+/**
+ * Runs file operations asynchronously, one job at a time
+ * Jobs still running after FILE_OPERATION_PROGRESS_DELAY show a progress
+ * overlay that can cancel them, name conflicts ask whether to replace, skip
+ * or keep both, and the failures of a job are reported in one alert.
+ */
+class FileOperationsManager {
+    constructor(extension) {
+        this._extension = extension;
+        this._queue = Promise.resolve();
+        this._job = null;
+        this._overlay = null;
+        this._progressTimeoutId = null;
+        this._closeConflictDialog = null; // Answers the open conflict dialog
+    }
+
+    /**
+     * Copy files, folders with their contents
+     * @param {Array} pairs - [source, destination] Gio.File pairs
+     * @param {Function} [onDestination] - Called with each source and the
+     *   new destination it will take once a name conflict is settled
+     * @returns {Promise<object>} { results, failed }: the pairs copied, with
+     *   the destinations used, and the failure messages
+     */
+    copy(pairs, onDestination = null) {
+        return this._enqueue(
+            'Copying',
+            pairs.map(([source, destination]) => ({
+                name: source.get_basename(),
+                run: job => this._transfer(job, source, destination, false, onDestination),
+            }))
+        );
+    }
+
+    /**
+     * Move files and folders
+     * @param {Array} pairs - [source, destination] Gio.File pairs
+     * @param {Function} [onDestination] - As for copy()
+     * @returns {Promise<object>} { results, failed }: the pairs moved, with
+     *   the destinations used, and the failure messages
+     */
+    move(pairs, onDestination = null) {
+        return this._enqueue(
+            'Moving',
+            pairs.map(([source, destination]) => ({
+                name: source.get_basename(),
+                run: job => this._transfer(job, source, destination, true, onDestination),
+            }))
+        );
+    }
+
+    /**
+     * @returns {Promise<object>} { results, failed }: the files now in the
+     *   Trash and the failure messages
+     */
+    trash(files) {
+        return this._enqueue(
+            'Moving to Trash',
+            files.map(file => ({
+                name: file.get_basename(),
+                run: async job => {
+                    await file.trash_async(GLib.PRIORITY_DEFAULT, job.cancellable);
+                    return file;
+                },
+            }))
+        );
+    }
+
+    /**
+     * Permanently delete files, folders with their contents
+     * @param {string} [title] - Names the job, e.g. 'Emptying Trash'
+     * @param {boolean} [recursive] - false where the backend deletes
+     *   folders itself, like trash:/// which refuses to touch their contents
+     * @returns {Promise<object>} { results, failed }: the files deleted and
+     *   the failure messages
+     */
+    delete(files, title = 'Deleting', recursive = true) {
+        return this._enqueue(
+            title,
+            files.map(file => ({
+                name: file.get_basename(),
+                run: async job => {
+                    if (recursive) {
+                        await this._deleteFile(job, file);
+                    } else {
+                        await file.delete_async(GLib.PRIORITY_DEFAULT, job.cancellable);
+                    }
+                    return file;
+                },
+            }))
+        );
+    }
+
+    /**
+     * @returns {Promise<boolean>} true once the folder exists
+     */
+    async makeDirectory(folder) {
+        const { results } = await this._enqueue('Creating Folder', [
+            {
+                name: folder.get_basename(),
+                run: async job => {
+                    await folder.make_directory_async(GLib.PRIORITY_DEFAULT, job.cancellable);
+                    return folder;
+                },
+            },
+        ]);
+        return results.length > 0;
+    }
+
+    /**
+     * A child of a folder named after a file, with " (copy)" or
+     * " (copy N)" added before the extension if the name is taken
+     */
+    getFreeChild(folder, name) {
+        let child = folder.get_child(name);
+        const dot = name.lastIndexOf('.');
+        const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+
+        for (let n = 1; child.query_exists(null); n++) {
+            const suffix = n === 1 ? ' (copy)' : ` (copy ${n})`;
+            child = folder.get_child(`${base}${suffix}${extension}`);
+        }
+        return child;
+    }
+
+    /**
+     * The children of a folder
+     * @param {Gio.Cancellable} [cancellable]
+     */
+    async listChildren(folder, cancellable = null) {
+        const children = [];
+        const enumerator = await folder.enumerate_children_async(
+            'standard::name',
+            Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS,
+            GLib.PRIORITY_DEFAULT,
+            cancellable
+        );
+        try {
+            let infos;
+            do {
+                infos = await enumerator.next_files_async(
+                    ENUMERATE_BATCH_SIZE,
+                    GLib.PRIORITY_DEFAULT,
+                    cancellable
+                );
+                children.push(...infos.map(info => enumerator.get_child(info)));
+            } while (infos.length > 0);
+        } finally {
+            await enumerator.close_async(GLib.PRIORITY_DEFAULT, null);
+        }
+        return children;
+    }
+
+    /**
+     * Cancel the running job and drop the overlay and conflict dialog
+     */
+    destroy() {
+        this._job?.cancellable.cancel();
+        this._closeConflictDialog?.();
+        this._hideProgress();
+    }
+
+    /**
+     * Run a job once the ones before it are done
+     * @param {string} title - Names the job in the overlay and the error alert
+     * @param {Array} steps - { name, run(job) } per file; run resolves to the
+     *   step's result, or null when the file was skipped
+     * @returns {Promise<object>} { results, failed }: the results of the
+     *   steps that went through and the messages of those that failed
+     */
+    _enqueue(title, steps) {
+        const job = this._queue.then(() => this._runJob(title, steps));
+        this._queue = job.catch(() => {});
+        return job;
+    }
+
+    async _runJob(title, steps) {
+        const job = {
+            title,
+            total: steps.length,
+            done: 0,
+            current: null,
+            cancellable: new Gio.Cancellable(),
+            conflictChoice: null, // Set by "Apply to all" in the conflict dialog
+        };
+        this._job = job;
+        this._progressTimeoutId = GLib.timeout_add(
+            GLib.PRIORITY_DEFAULT,
+            FILE_OPERATION_PROGRESS_DELAY,
+            () => {
+                this._progressTimeoutId = null;
+                this._showProgress();
+                return GLib.SOURCE_REMOVE;
+            }
+        );
+
+        const results = [];
+        const failed = [];
+        try {
+            for (const step of steps) {
+                job.current = step.name;
+                this._updateProgress();
+                try {
+                    const result = await step.run(job);
+                    if (result) results.push(result);
+                } catch (e) {
+                    if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) break;
+                    log(`[Obision] ${title} ${step.name} failed: ${e}`);
+                    failed.push(`"${step.name}": ${e.message}`);
+                }
+                job.done++;
+            }
+        } finally {
+            this._job = null;
+            this._hideProgress();
+        }
+
+        if (failed.length > 0) {
+            this._extension._primaryGrid?._showAlertDialog(`${title} Failed`, failed.join('\n'));
+        }
+        return { results, failed };
+    }
+
+    /**
+     * Copy or move one file, settling a name conflict at the destination first
+     * onDestination hears of new destinations only; a replaced item's
+     * destination is not new.
+     */
+    async _transfer(job, source, destination, move, onDestination) {
+        if (move && destination.has_prefix(source)) {
+            throw new GLib.Error(
+                Gio.IOErrorEnum,
+                Gio.IOErrorEnum.INVALID_ARGUMENT,
+                'You cannot move a folder into itself.'
+            );
+        }
+
+        const conflict = await this._resolveConflict(job, source, destination);
+        if (!conflict) return null;
+
+        const { replace } = conflict;
+        destination = conflict.destination;
+        if (replace) {
+            await this._replace(job, source, destination, move);
+            return [source, destination];
+        }
+
+        onDestination?.(source, destination);
+        if (move) {
+            await this._moveFile(job, source, destination);
+        } else {
+            await this._copyFile(job, source, destination);
+        }
+        return [source, destination];
+    }
+
+    /**
+     * Put a file in the place of an existing item
+     * Plain files are overwritten in one step; a replaced folder is only
+     * deleted once its replacement has landed next to it.
+     */
+    async _replace(job, source, destination, move) {
+        const isFolder = file =>
+            file.query_file_type(Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null) ===
+            Gio.FileType.DIRECTORY;
+
+        if (!isFolder(source) && !isFolder(destination)) {
+            if (move) {
+                await this._moveFile(job, source, destination, Gio.FileCopyFlags.OVERWRITE);
+            } else {
+                await this._copyFile(job, source, destination, Gio.FileCopyFlags.OVERWRITE);
+            }
+            return;
+        }
+
+        // A hidden name keeps the replacement off the desktop until it is done
+        const name = destination.get_basename();
+        const replacement = this.getFreeChild(destination.get_parent(), `.${name}.replacing`);
+        if (move) {
+            await this._moveFile(job, source, replacement);
+        } else {
+            await this._copyFile(job, source, replacement);
+        }
+        await this._deleteFile(job, destination);
+        await replacement.move_async(
+            destination,
+            Gio.FileCopyFlags.NOFOLLOW_SYMLINKS,
+            GLib.PRIORITY_DEFAULT,
+            job.cancellable,
+            null
+        );
+    }
+
+    /**
+     * Settle a taken destination name: replace what is there, use a free
+     * name (Keep Both) or nothing (Skip)
+     * @returns {Promise<object|null>} { destination, replace }, or null to skip
+     */
+    async _resolveConflict(job, source, destination) {
+        if (!destination.query_exists(null) || source.equal(destination)) {
+            return { destination, replace: false };
+        }
+
+        const choice = job.conflictChoice ?? (await this._askConflict(job, destination));
+        switch (choice) {
+            case 'replace':
+                // Replacing a folder with something inside it would delete both
+                if (source.has_prefix(destination)) {
+                    throw new GLib.Error(
+                        Gio.IOErrorEnum,
+                        Gio.IOErrorEnum.INVALID_ARGUMENT,
+                        `"${destination.get_basename()}" cannot be replaced by an item it contains.`
+                    );
+                }
+                return { destination, replace: true };
+            case 'keep-both':
+                return {
+                    destination: this.getFreeChild(
+                        destination.get_parent(),
+                        destination.get_basename()
+                    ),
+                    replace: false,
+                };
+            case 'cancel':
+                job.cancellable.cancel();
+                throw new GLib.Error(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED, 'Cancelled');
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Ask what to do about a name that is taken
+     * @returns {Promise<string>} 'replace', 'skip', 'keep-both' or 'cancel'
+     */
+    _askConflict(job, destination) {
+        return new Promise(resolve => {
+            const dialog = new ModalDialog.ModalDialog({
+                styleClass: 'modal-dialog',
+                destroyOnClose: true,
+            });
+
+            const folderName = destination.get_parent()?.get_basename() ?? '';
+            const content = new Dialog.MessageDialogContent({
+                title: `"${destination.get_basename()}" Already Exists`,
+                description: `There is already an item with this name in "${folderName}".`,
+            });
+            dialog.contentLayout.add_child(content);
+
+            // Only worth offering while more files follow
+            let applyToAll = null;
+            if (job.total - job.done > 1) {
+                applyToAll = new CheckBox.CheckBox('Apply to All');
+                dialog.contentLayout.add_child(applyToAll);
+            }
+
+            const choose = choice => {
+                if (applyToAll?.checked && choice !== 'cancel') {
+                    job.conflictChoice = choice;
+                }
+                this._closeConflictDialog = null;
+                dialog.close();
+                resolve(choice);
+            };
+            this._closeConflictDialog = () => choose('cancel');
+
+            dialog.addButton({
+                label: 'Cancel',
+                action: () => choose('cancel'),
+                key: Clutter.KEY_Escape,
+            });
+            dialog.addButton({ label: 'Skip', action: () => choose('skip') });
+            dialog.addButton({ label: 'Keep Both', action: () => choose('keep-both') });
+            dialog.addButton({
+                label: 'Replace',
+                action: () => choose('replace'),
+                default: true,
+            });
+
+            dialog.open();
+        });
+    }
+
+    /**
+     * Copy a file, or a folder with its contents
+     * @param {Gio.FileCopyFlags} [flags] - Added for plain files, e.g. OVERWRITE
+     */
+    async _copyFile(job, source, destination, flags = Gio.FileCopyFlags.NONE) {
+        if (destination.has_prefix(source)) {
+            throw new GLib.Error(
+                Gio.IOErrorEnum,
+                Gio.IOErrorEnum.INVALID_ARGUMENT,
+                'You cannot copy a folder into itself.'
+            );
+        }
+
+        const info = await source.query_info_async(
+            'standard::type',
+            Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS,
+            GLib.PRIORITY_DEFAULT,
+            job.cancellable
+        );
+
+        if (info.get_file_type() !== Gio.FileType.DIRECTORY) {
+            await source.copy_async(
+                destination,
+                Gio.FileCopyFlags.NOFOLLOW_SYMLINKS | Gio.FileCopyFlags.ALL_METADATA | flags,
+                GLib.PRIORITY_DEFAULT,
+                job.cancellable,
+                null
+            );
+            return;
+        }
+
+        await destination.make_directory_async(GLib.PRIORITY_DEFAULT, job.cancellable);
+        for (const child of await this.listChildren(source, job.cancellable)) {
+            await this._copyFile(job, child, destination.get_child(child.get_basename()));
+        }
+    }
+
+    /**
+     * Across file systems folders are copied, then deleted
+     * @param {Gio.FileCopyFlags} [flags] - As for _copyFile()
+     */
+    async _moveFile(job, source, destination, flags = Gio.FileCopyFlags.NONE) {
+        try {
+            await source.move_async(
+                destination,
+                Gio.FileCopyFlags.NOFOLLOW_SYMLINKS | Gio.FileCopyFlags.ALL_METADATA | flags,
+                GLib.PRIORITY_DEFAULT,
+                job.cancellable,
+                null
+            );
+        } catch (e) {
+            if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.WOULD_RECURSE)) throw e;
+
+            await this._copyFile(job, source, destination, flags);
+            await this._deleteFile(job, source);
+        }
+    }
+
+    async _deleteFile(job, file) {
+        const info = await file.query_info_async(
+            'standard::type',
+            Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS,
+            GLib.PRIORITY_DEFAULT,
+            job.cancellable
+        );
+        if (info.get_file_type() === Gio.FileType.DIRECTORY) {
+            for (const child of await this.listChildren(file, job.cancellable)) {
+                await this._deleteFile(job, child);
+            }
+        }
+        await file.delete_async(GLib.PRIORITY_DEFAULT, job.cancellable);
+    }
+
+    // ===== Progress Overlay =====
+
+    _showProgress() {
+        if (this._overlay || !this._job) return;
+
+        this._titleLabel = new St.Label({ style_class: 'file-operation-title' });
+        this._nameLabel = new St.Label({ style_class: 'file-operation-name' });
+        this._nameLabel.clutter_text.ellipsize = Pango.EllipsizeMode.MIDDLE;
+        this._progressFill = new St.Widget({
+            style_class: 'file-operation-progress-fill',
+            x_align: Clutter.ActorAlign.START,
+        });
+        const progressTrack = new St.Widget({
+            style_class: 'file-operation-progress-track',
+            layout_manager: new Clutter.BinLayout(),
+            x_expand: true,
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        progressTrack.add_child(this._progressFill);
+        progressTrack.connect('notify::width', () => this._updateProgress());
+
+        const job = this._job;
+        const cancelButton = new St.Button({
+            style_class: 'button file-operation-cancel',
+            label: 'Cancel',
+        });
+        cancelButton.connect('clicked', () => job.cancellable.cancel());
+
+        this._overlay = new St.BoxLayout({
+            style_class: 'file-operation-overlay',
+            vertical: true,
+        });
+        this._overlay.add_child(this._titleLabel);
+        this._overlay.add_child(this._nameLabel);
+        const progressRow = new St.BoxLayout({ style: 'spacing: 12px;' });
+        progressRow.add_child(progressTrack);
+        progressRow.add_child(cancelButton);
+        this._overlay.add_child(progressRow);
+        Main.uiGroup.add_child(this._overlay);
+
+        // Bottom centre of the primary monitor's work area
+        const workArea = Main.layoutManager.getWorkAreaForMonitor(Main.layoutManager.primaryIndex);
+        const width = Math.min(420, workArea.width - 40);
+        this._overlay.set_width(width);
+        this._overlay.set_position(
+            workArea.x + Math.round((workArea.width - width) / 2),
+            workArea.y + workArea.height - this._overlay.get_preferred_height(width)[1] - 24
+        );
+
+        this._updateProgress();
+    }
+
+    _updateProgress() {
+        const job = this._job;
+        if (!this._overlay || !job) return;
+
+        this._titleLabel.text = `${job.title} ${Math.min(job.done + 1, job.total)} of ${job.total}`;
+        this._nameLabel.text = job.current ?? '';
+
+        // The fill is sized against the track once it has been allocated
+        const track = this._progressFill.get_parent();
+        this._progressFill.set_width(Math.round((track.width * job.done) / job.total));
+    }
+
+    _hideProgress() {
+        if (this._progressTimeoutId) {
+            GLib.source_remove(this._progressTimeoutId);
+            this._progressTimeoutId = null;
+        }
+        this._overlay?.destroy();
+        this._overlay = null;
+    }
+}
+
+/**
+ * Receives files dropped onto the desktop from other applications
+ * GNOME Shell only learns where such drags are, never what they carry, so
+ * while one is in progress the drop-target.js helper covers each grid with a
+ * transparent window, kept below all other windows, and reports the files
+ * dropped on it. The helper is started by the first such drag.
+ */
+class ExternalDropTarget {
+    constructor(extension) {
+        this._extension = extension;
+        this._helper = null; // { process, client, stdin, cancellable } while it runs
+        this._helperExits = 0; // Unexpected exits of the helper this session
+        this._windows = new Set(); // The helper's mapped windows
+        this._focusWindow = null; // Focused before the windows were shown
+        this._hideTimeoutId = null;
+
+        // The helper only starts with the first drag from an application
+        this._dragBeginId = Main.xdndHandler.connect('drag-begin', () => this._show());
+        this._dragEndId = Main.xdndHandler.connect('drag-end', () => this._scheduleHide());
+        this._windowCreatedId = global.display.connect('window-created', (display, window) =>
+            this._adoptWindow(window)
+        );
+    }
+
+    /**
+     * Stop the helper and forget its windows
+     */
+    destroy() {
+        this._disconnect();
+        this._cancelHide();
+        this._stopHelper();
+        this._focusWindow = null;
+    }
+
+    _disconnect() {
+        if (this._dragBeginId) {
+            Main.xdndHandler.disconnect(this._dragBeginId);
+            Main.xdndHandler.disconnect(this._dragEndId);
+            global.display.disconnect(this._windowCreatedId);
+            this._dragBeginId = null;
+        }
+    }
+
+    /**
+     * Run drop-target.js
+     * On Wayland it is started as a client of the compositor, which can
+     * keep its windows out of the overview, Alt+Tab and the dash.
+     */
+    _startHelper() {
+        const argv = ['gjs', '-m', GLib.build_filenamev([this._extension.path, 'drop-target.js'])];
+        const launcher = new Gio.SubprocessLauncher({
+            flags: Gio.SubprocessFlags.STDIN_PIPE | Gio.SubprocessFlags.STDOUT_PIPE,
+        });
+
+        let client = null;
+        let process;
+        if (Meta.is_wayland_compositor()) {
+            client = Meta.WaylandClient.new_subprocess(global.context, launcher, argv);
+            process = client.get_subprocess();
+        } else {
+            process = launcher.spawnv(argv);
+        }
+
+        const helper = {
+            process,
+            client,
+            pid: Number(process.get_identifier()),
+            stdin: process.get_stdin_pipe(),
+            cancellable: new Gio.Cancellable(),
+        };
+        this._helper = helper;
+
+        const stdout = new Gio.DataInputStream({ base_stream: process.get_stdout_pipe() });
+        this._readDrops(helper, stdout);
+        this._watchHelper(helper);
+    }
+
+    _stopHelper() {
+        const helper = this._helper;
+        if (!helper) return;
+
+        this._helper = null;
+        this._windows.clear();
+        helper.cancellable.cancel();
+        helper.process.force_exit();
+    }
+
+    /**
+     * Forget the helper when it exits; the next drag starts it again, unless
+     * it keeps failing, which turns drops from applications off
+     */
+    async _watchHelper(helper) {
+        try {
+            await helper.process.wait_async(helper.cancellable);
+        } catch (e) {
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) return;
+        }
+        if (this._helper !== helper) return;
+
+        this._helper = null;
+        this._windows.clear();
+        helper.cancellable.cancel();
+
+        this._helperExits++;
+        log(`[Obision] The drop target helper exited (${helper.process.get_exit_status()})`);
+        if (this._helperExits >= EXTERNAL_DROP_HELPER_RESTARTS) {
+            log('[Obision] Drops from other applications are off: the helper keeps exiting');
+            this._disconnect();
+            this._cancelHide();
+        }
+    }
+
+    _show() {
+        this._cancelHide();
+        const count = this._extension._grids.length;
+        if (count === 0) return;
+
+        if (!this._helper) {
+            try {
+                this._startHelper();
+            } catch (e) {
+                log(`[Obision] Drops from other applications are off: ${e.message}`);
+                this._disconnect();
+                return;
+            }
+        }
+
+        this._focusWindow = global.display.focus_window;
+        this._send(`show ${count}`);
+    }
+
+    _scheduleHide() {
+        this._cancelHide();
+        this._hideTimeoutId = GLib.timeout_add(
+            GLib.PRIORITY_DEFAULT,
+            EXTERNAL_DROP_HIDE_DELAY,
+            () => {
+                this._hideTimeoutId = null;
+                this._hide();
+                return GLib.SOURCE_REMOVE;
+            }
+        );
+    }
+
+    _cancelHide() {
+        if (this._hideTimeoutId) {
+            GLib.source_remove(this._hideTimeoutId);
+            this._hideTimeoutId = null;
+        }
+    }
+
+    _hide() {
+        this._cancelHide();
+        this._send('hide');
+        this._focusWindow = null;
+    }
+
+    _send(command) {
+        if (!this._helper) return;
+
+        try {
+            this._helper.stdin.write_all(`${command}\n`, null);
+        } catch (e) {
+            log(`[Obision] Could not reach the drop target helper: ${e.message}`);
+        }
+    }
+
+    /**
+     * Lay a helper window over its grid, below every other window
+     * The windows never take the focus, and on Wayland they are kept out of
+     * the overview, Alt+Tab and the dash.
+     */
+    _adoptWindow(window) {
+        const helper = this._helper;
+        if (!helper) return;
+        const owned = helper.client
+            ? helper.client.owns_window(window)
+            : window.get_pid() === helper.pid;
+        if (!owned) return;
+
+        this._windows.add(window);
+        window.connect('unmanaged', () => this._windows.delete(window));
+        helper.client?.hide_from_window_list(window);
+        window.make_below();
+
+        // Wayland windows only take a position once they are shown
+        window.connect('shown', () => {
+            const index = Number(window.get_title()?.slice(DROP_WINDOW_TITLE_PREFIX.length));
+            const grid = this._extension._grids[index];
+            if (!grid) return;
+
+            const [x, y] = grid.get_transformed_position();
+            window.move_resize_frame(false, x, y, grid.width, grid.height);
+        });
+        // Hand the focus straight back to the window that had it
+        window.connect('focus', () => {
+            if (this._focusWindow?.get_compositor_private()) {
+                this._focusWindow.activate(global.get_current_time());
+            }
+        });
+    }
+
+    async _readDrops(helper, stream) {
+        try {
+            for (;;) {
+                const [line] = await stream.read_line_async(
+                    GLib.PRIORITY_DEFAULT,
+                    helper.cancellable
+                );
+                // The helper exited
+                if (line === null) break;
+                this._onDrop(line);
+            }
+        } catch (e) {
+            if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                log(`[Obision] Error reading from the drop target helper: ${e}`);
+            }
+        }
+    }
+
+    /**
+     * Copy or move dropped files to the Desktop, from the cell under the pointer
+     * @param {string} line - A drop reported by the helper, as JSON
+     */
+    _onDrop(line) {
+        let drop;
+        try {
+            drop = JSON.parse(line);
+        } catch (e) {
+            log(`[Obision] Unexpected output from the drop target helper: ${line}`);
+            return;
+        }
+        this._hide();
+
+        // The windows lie exactly over their grids
+        const grid = this._extension._grids[drop.grid];
+        const cell = grid?.getCellAtPixel(drop.x, drop.y);
+        const files = drop.uris.map(uri => Gio.File.new_for_uri(uri));
+        this._extension._transferToDesktop(
+            'Drop',
+            files,
+            drop.action === 'move',
+            cell ? grid : null,
+            cell?.col,
+            cell?.row
+        );
+    }
+}
+
+/**
+ * Main extension class
+ */
+export default class ObisionExtDeskGrid extends Extension {
+    enable() {
+        log('Obision Desk enabling...');
+
+        this._settings = this.getSettings();
+        this._fileMonitor = null;
+        this._pendingFileEvents = []; // File monitor events waiting to be handled
+        this._cancellable = new Gio.Cancellable(); // Cancels pending file I/O on disable
+        this._reconciling = false;
+        this._reconcilePending = false;
+        this._thumbnailFactories = {}; // GnomeDesktop thumbnail factories by size name
+        this._thumbnailQueue = []; // Icons waiting for a thumbnail, generated one at a time
+        this._thumbnailRequests = new Set(); // uri/mtime/size already generated this session
+        this._thumbnailIdleId = null;
+        this._iconPositions = {}; // Cache for icon positions
+        this._initialLoad = true; // Flag to prevent overwriting preset positions on first load
+        this._undoStack = []; // Reversible actions, most recent last
+        this._fileOperations = new FileOperationsManager(this);
+        this._externalDropTarget = null; // Takes drops from other applications
+        this._trashContents = { count: 0, recent: [] }; // Shown by the Trash icon
+        this._trashRefreshSerial = 0; // Newer trash reads supersede older ones
+        this._templates = []; // Tree of the user's Templates directory
+        this._templateMonitors = [];
+        this._templatesSerial = 0; // Newer template scans supersede older ones
+        this._redoStack = []; // Undone actions that can be applied again
+
+        // One desktop grid (with its own cell matrix) per monitor
+        this._grids = [];
+        this._primaryGrid = null;
+
+        // Load saved positions
+        this._loadIconPositions();
+
+        // Setup global drag handler (single listener for all icons)
+        this._setupGlobalDragHandler();
+
+        // Accept files dragged from other applications
+        this._externalDropTarget = new ExternalDropTarget(this);
+
+        // Wait for work area to be properly calculated (especially if dash is active)
+        // This prevents the grid from being positioned incorrectly on startup
+        this._initTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 150, () => {
+            // Create the grids, then load desktop files
+            this._setupGrids();
+
+            this._initTimeoutId = null;
+            return GLib.SOURCE_REMOVE;
+        });
+
+        // Monitor desktop directory for changes
+        this._setupFileMonitor();
+        this._setupTrashMonitor();
+        this._loadTemplates();
+
+        // Connect to settings changes
+        this._settingsChangedId = this._settings.connect('changed', (settings, key) => {
+            if (key === 'grid-columns' || key === 'grid-rows') {
+                // Grid dimensions changed - recompute cell size and rebuild cell grid
+                this._reloadIcons();
+            } else if (key === 'show-trash' || key === 'show-home') {
+                // Special icons visibility changed - add or remove just those
+                this._reconcileIcons();
+            } else if (key === 'show-thumbnails') {
+                // Swap thumbnails and themed icons
+                for (const icon of this._getIcons()) {
+                    icon.refreshIcon();
+                }
+            } else if (key === 'do-not-disturb' || key === 'max-notification-level') {
+                // Show active notifications at their new level
+                for (const icon of this._getIcons()) {
+                    if (icon.isNotifying) {
+                        icon._renderNotification();
+                    }
+                }
+            } else if (key === 'overflow-strategy') {
+                // Lay the icons out again with the new strategy
+                this._relayoutIcons();
+            } else if (key === 'sort-by' || key === 'keep-arranged') {
+                // Keep the desktop arranged by the current key
+                if (this._settings.get_boolean('keep-arranged')) {
+                    this._arrangeIcons();
+                }
+            } else if (key.startsWith('grid-')) {
+                for (const grid of this._grids) {
+                    grid._overlay.refresh();
+                }
+            }
+        });
+
+        // Monitor for monitor changes - one grid per connected monitor
+        this._monitorsChangedId = Main.layoutManager.connect('monitors-changed', () => {
+            this._onMonitorsChanged();
+        });
+
+        // Monitor for work area changes (when panels/docks change size)
+        this._workareasChangedId = global.display.connect('workareas-changed', () => {
+            this._onWorkAreaChanged();
+        });
+
+        // Try to connect to obision-dash settings for immediate updates
+        this._setupObisionDashIntegration();
+
+        // Publish the notification and layout API on the session bus
+        this._dbusService = new DeskGridDBusService(this);
+        this._dbusService.export();
+
+        // Add keyboard shortcut for Create Folder (Shift+Ctrl+N)
+        Main.wm.addKeybinding(
+            'obision-desk-new-folder',
+            this._settings,
+            Meta.KeyBindingFlags.NONE,
+            Shell.ActionMode.NORMAL,
+            () => {
+                // Show create folder dialog
+                if (this._primaryGrid) {
+                    this._primaryGrid._showNewFolderDialog();
+                }
+            }
+        );
+
+        // Add keyboard shortcut to move keyboard focus to the desktop icons
+        Main.wm.addKeybinding(
+            'obision-desk-focus',
+            this._settings,
+            Meta.KeyBindingFlags.NONE,
+            Shell.ActionMode.NORMAL,
+            () => {
+                this._focusDesktop();
+            }
+        );
+
+        log('Obision Desk enabled');
+    }
+
+    disable() {
+        log('Obision Desk disabling...');
+
+        // Cleanup initialization timeout
+        if (this._initTimeoutId) {
+            GLib.source_remove(this._initTimeoutId);
+            this._initTimeoutId = null;
+        }
+
+        // Cleanup global drag handler
+        this._cleanupGlobalDragHandler();
+
+        // Disconnect signals
+        if (this._settingsChangedId) {
+            this._settings.disconnect(this._settingsChangedId);
+            this._settingsChangedId = null;
+        }
+
+        if (this._monitorsChangedId) {
+            Main.layoutManager.disconnect(this._monitorsChangedId);
+            this._monitorsChangedId = null;
+        }
+
+        if (this._workareasChangedId) {
+            global.display.disconnect(this._workareasChangedId);
+            this._workareasChangedId = null;
+        }
+
+        // Cleanup obision-dash integration
+        this._cleanupObisionDashIntegration();
+
+        // Withdraw the D-Bus API
+        if (this._dbusService) {
+            this._dbusService.unexport();
+            this._dbusService = null;
+        }
+
+        // Remove keyboard shortcuts
+        Main.wm.removeKeybinding('obision-desk-new-folder');
+        Main.wm.removeKeybinding('obision-desk-focus');
+
+        // Cleanup type-ahead timeout
+        if (this._typeAheadTimeoutId) {
+            GLib.source_remove(this._typeAheadTimeoutId);
+            this._typeAheadTimeoutId = null;
+        }
+
+        // Cleanup pending grid growth
+        if (this._growGridId) {
+            GLib.source_remove(this._growGridId);
+            this._growGridId = null;
+        }
+
+        // Cleanup work area debounce timeout
+        if (this._workAreaDebounceId) {
+            GLib.source_remove(this._workAreaDebounceId);
+            this._workAreaDebounceId = null;
+        }
+
+        // Stop file monitor
+        if (this._fileMonitor) {
+            this._fileMonitor.cancel();
+            this._fileMonitor = null;
+        }
+        if (this._fileEventsTimeoutId) {
+            GLib.source_remove(this._fileEventsTimeoutId);
+            this._fileEventsTimeoutId = null;
+        }
+        this._pendingFileEvents = [];
+
+        // Stop trash monitor
+        if (this._trashMonitor) {
+            this._trashMonitor.cancel();
+            this._trashMonitor = null;
+        }
+        if (this._trashRefreshId) {
+            GLib.source_remove(this._trashRefreshId);
+            this._trashRefreshId = null;
+        }
+
+        // Stop template monitors
+        this._clearTemplateMonitors();
+        if (this._templatesRefreshId) {
+            GLib.source_remove(this._templatesRefreshId);
+            this._templatesRefreshId = null;
+        }
+        this._templates = [];
+
+        // Abort any directory read or file query still in flight
+        if (this._cancellable) {
+            this._cancellable.cancel();
+            this._cancellable = null;
+        }
+        if (this._thumbnailIdleId) {
+            GLib.source_remove(this._thumbnailIdleId);
+            this._thumbnailIdleId = null;
+        }
+        this._thumbnailQueue = [];
+        this._thumbnailRequests.clear();
+        this._thumbnailFactories = {};
+        this._undoStack = [];
+        this._redoStack = [];
+
+        // Stop taking drops, then cancel the running file operation
+        this._externalDropTarget?.destroy();
+        this._externalDropTarget = null;
+        this._fileOperations.destroy();
+        this._fileOperations = null;
+
+        // Remove grids, their overlays and icons
+        this._destroyGrids();
+
+        this._settings = null;
+
+        log('Obision Desk disabled');
+    }
+
+    /**
+     * Fit every grid into its monitor's work area
+     */
+    _updateGridPosition() {
+        for (const grid of this._grids) {
+            grid.updatePosition();
+        }
+    }
+
+    // ===== Monitors =====
+
+    /**
+     * Create the grids once the monitors are identified, then load the desktop
+     */
+    async _setupGrids() {
+        const monitorIds = await this._queryMonitorIds(this._cancellable);
+        if (!monitorIds) return;
+
+        this._createGrids(monitorIds);
+        this._switchLayoutProfile();
+        this._loadDesktopFiles();
+    }
+
+    /**
+     * Rebuild the grids after monitors were plugged, unplugged or rearranged
+     * Icons go back to their saved monitor whenever it is connected
+     */
+    async _onMonitorsChanged() {
+        // Without grids (every monitor was gone, taking the icons with it)
+        // the desktop is built again from scratch, unless it is still starting
+        if (this._grids.length === 0) {
+            if (!this._initTimeoutId) {
+                this._setupGrids();
+            }
+            return;
+        }
+
+        const monitorIds = await this._queryMonitorIds(this._cancellable);
+        if (!monitorIds) return;
+
+        this._reloadIcons(monitorIds);
+    }
+
+    /**
+     * Stable identities of the monitors, indexed like Main.layoutManager.monitors
+     * The EDID vendor, product and serial follow a monitor to another port;
+     * the connector name is used when there is no EDID or it is not unique
+     * @param {Gio.Cancellable} cancellable - Cancels the display config query
+     * @returns {Promise<string[]|null>} null when cancelled
+     */
+    async _queryMonitorIds(cancellable) {
+        const ids = Main.layoutManager.monitors.map(monitor => `monitor-${monitor.index}`);
+
+        try {
+            const reply = await Gio.DBus.session.call(
+                'org.gnome.Mutter.DisplayConfig',
+                '/org/gnome/Mutter/DisplayConfig',
+                'org.gnome.Mutter.DisplayConfig',
+                'GetCurrentState',
+                null,
+                null,
+                Gio.DBusCallFlags.NONE,
+                -1,
+                cancellable
+            );
+            const [, physicalMonitors] = reply.deepUnpack();
+            const monitorManager = global.backend.get_monitor_manager();
+            const identified = new Set();
+
+            for (const [[connector, vendor, product, serial]] of physicalMonitors) {
+                // Monitors that are off have no index; mirrored ones share one
+                const index = monitorManager.get_monitor_for_connector(connector);
+                if (index < 0 || index >= ids.length || identified.has(index)) continue;
+
+                const edid = vendor !== 'unknown' ? `${vendor}:${product}:${serial}` : null;
+                ids[index] = edid && !ids.includes(edid) ? edid : connector;
+                identified.add(index);
+            }
+        } catch (e) {
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) return null;
+            log(`[Obision] Could not identify monitors, using their index: ${e}`);
+        }
+        return ids;
+    }
+
+    /**
+     * Build one grid and overlay per monitor
+     * Existing icons wait on the new primary grid until they are laid out
+     * @param {string[]} monitorIds - From _queryMonitorIds()
+     */
+    _createGrids(monitorIds) {
+        // Drag indicators and the rubber band live on the old grids
+        this._cancelDrag();
+        this._endRubberBand();
+
+        const icons = this._getIcons();
+        for (const icon of icons) {
+            icon._desktopGrid.releaseIcon(icon);
+        }
+        this._destroyGrids();
+
+        for (const monitor of Main.layoutManager.monitors) {
+            const grid = new DesktopGrid(this, monitor.index, monitorIds[monitor.index]);
+
+            // Add to background group (behind windows)
+            // This ensures the grid and icons are at desktop level, not above windows
+            Main.layoutManager._backgroundGroup.add_child(grid._overlay);
+            Main.layoutManager._backgroundGroup.add_child(grid);
+            grid.updatePosition();
+            this._grids.push(grid);
+        }
+        this._primaryGrid = this._grids[Main.layoutManager.primaryIndex] ?? this._grids[0] ?? null;
+
+        for (const icon of icons) {
+            if (this._primaryGrid) {
+                this._primaryGrid.addIcon(icon, 0, 0);
+            } else {
+                // No monitor at all - icons are recreated when one comes back
+                icon.destroy();
+            }
+        }
+    }
+
+    _destroyGrids() {
+        for (const grid of this._grids) {
+            Main.layoutManager._backgroundGroup.remove_child(grid._overlay);
+            Main.layoutManager._backgroundGroup.remove_child(grid);
+            grid.destroy();
+        }
+        this._grids = [];
+        this._primaryGrid = null;
+    }
+
+    /**
+     * Icons of every grid
+     */
+    _getIcons() {
+        return this._grids.flatMap(grid => grid.getIcons());
+    }
+
+    /**
+     * The grid an icon is on
+     */
+    _getIconGrid(icon) {
+        return icon._desktopGrid ?? this._primaryGrid;
+    }
+
+    /**
+     * The grid of the monitor under a stage point
+     */
+    _getGridAt(stageX, stageY) {
+        return this._grids.find(grid => grid.containsPoint(stageX, stageY)) ?? null;
+    }
+
+    /**
+     * Free an icon's cells and destroy it
+     */
+    _removeIcon(icon) {
+        const grid = this._getIconGrid(icon);
+        grid.removeIconFromCells(icon);
+        grid.removeIcon(icon);
+
+        // Overflowing icons may fit now
+        this._placeOverflowIcons();
+    }
+
+    _getGridForMonitorId(monitorId) {
+        return this._grids.find(grid => grid.monitorId === monitorId) ?? null;
+    }
+
+    /**
+     * Move an icon onto another grid without moving it on screen, so it can
+     * ease into its new cell from where it is
+     */
+    _moveIconToGrid(icon, grid) {
+        const oldGrid = icon._desktopGrid;
+        if (oldGrid === grid) return;
+
+        const [iconX, iconY] = icon.get_transformed_position();
+        oldGrid?.releaseIcon(icon);
+        const [gridX, gridY] = grid.get_transformed_position();
+        grid.addIcon(icon, iconX - gridX, iconY - gridY);
+
+        // Monitors can have different cell sizes
+        icon.updateSize();
+    }
+
+    /**
+     * Handle work area changes (triggered by panels/docks resizing)
+     */
+    _onWorkAreaChanged() {
+        // Debounce to avoid multiple rapid updates
+        if (this._workAreaDebounceId) {
+            GLib.source_remove(this._workAreaDebounceId);
+        }
+
+        this._workAreaDebounceId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
+            this._reloadIcons();
+            this._workAreaDebounceId = null;
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * Setup integration with obision-ext-dash
+     * Listen to its settings for immediate grid updates when dash changes
+     */
+    _setupObisionDashIntegration() {
+        const DASH_SCHEMA = 'com.obision.ext.dash';
+
+        try {
+            // Try to get obision-dash settings
+            const schemaSource = Gio.SettingsSchemaSource.get_default();
+            const schema = schemaSource.lookup(DASH_SCHEMA, true);
+
+            if (schema) {
+                this._dashSettings = new Gio.Settings({ settings_schema: schema });
+
+                // Keys that affect the work area
+                const relevantKeys = ['dash-size', 'dash-position', 'auto-hide', 'panel-padding'];
+
+                this._dashSettingsId = this._dashSettings.connect('changed', (settings, key) => {
+                    if (relevantKeys.includes(key)) {
+                        // Give the dash time to update its chrome and GNOME to recalculate workArea
+                        GLib.timeout_add(GLib.PRIORITY_DEFAULT, 300, () => {
+                            this._onWorkAreaChanged();
+                            return GLib.SOURCE_REMOVE;
+                        });
+                    }
+                });
+
+                log('[Obision Desk] Connected to obision-ext-dash settings');
+            }
+        } catch (e) {
+            // obision-dash not installed or schema not available - that's fine
+            log(`[Obision Desk] obision-dash integration not available: ${e.message}`);
+        }
+    }
+
+    /**
+     * Cleanup obision-dash integration
+     */
+    _cleanupObisionDashIntegration() {
+        if (this._dashSettingsId && this._dashSettings) {
+            this._dashSettings.disconnect(this._dashSettingsId);
+            this._dashSettingsId = null;
+        }
+        this._dashSettings = null;
+
+        if (this._workAreaDebounceId) {
+            GLib.source_remove(this._workAreaDebounceId);
+            this._workAreaDebounceId = null;
+        }
+    }
+
+    _getCellWidth(grid = null) {
+        grid = grid ?? this._primaryGrid;
+        if (grid) {
+            return grid.getCellWidth();
+        }
+        const monitor = Main.layoutManager.primaryMonitor;
+        if (!monitor) return 80;
+        const workArea = Main.layoutManager.getWorkAreaForMonitor(monitor.index);
+        const columns = this._settings.get_int('grid-columns');
+        return Math.floor(workArea.width / columns);
+    }
+
+    _getCellHeight(grid = null) {
+        grid = grid ?? this._primaryGrid;
+        if (grid) {
+            return grid.getCellHeight();
+        }
+        const monitor = Main.layoutManager.primaryMonitor;
+        if (!monitor) return 100;
+        const workArea = Main.layoutManager.getWorkAreaForMonitor(monitor.index);
+        const rows = this._settings.get_int('grid-rows');
+        return Math.floor(workArea.height / rows);
+    }
+
+    _getBaseIconSize(grid = null) {
+        // Base icon size is the size that fits in a single cell
+        // Account for padding and label
+        const cellWidth = this._getCellWidth(grid);
+        const cellHeight = this._getCellHeight(grid);
+        const padding = Math.floor(Math.min(cellWidth, cellHeight) * CELL_PADDING_RATIO);
+        const availableHeight = cellHeight - LABEL_HEIGHT - padding * 2;
+        const availableWidth = cellWidth - padding * 2;
+        return Math.max(MIN_ICON_SIZE, Math.min(availableWidth, availableHeight));
+    }
+
+    _getIconPixelSize(cellSize) {
+        // Calculate pixel size for an icon based on cell dimensions
+        // cellSize is {cols, rows} - use minimum dimension to keep icon square
+        const baseSize = this._getBaseIconSize();
+        const cells = typeof cellSize === 'object'
+            ? Math.min(cellSize.cols, cellSize.rows)
+            : cellSize;
+        return Math.max(MIN_ICON_SIZE, baseSize * cells);
+    }
+
+    _getCellSize() {
+        // Alias for _getCellWidth for backward compatibility
+        return this._getCellWidth();
+    }
+
+    _getIconSize(grid = null) {
+        // Return base icon size (1x1 cell icon size)
+        return this._getBaseIconSize(grid);
+    }
+
+    /**
+     * Get GNOME accent color RGB values
+     * @returns {Object} RGB values for each accent color name
+     */
+    _getAccentColorMap() {
+        return {
+            'blue': { r: 53, g: 132, b: 228 },
+            'teal': { r: 53, g: 185, b: 171 },
+            'green': { r: 87, g: 227, b: 137 },
+            'yellow': { r: 246, g: 211, b: 45 },
+            'orange': { r: 255, g: 163, b: 72 },
+            'red': { r: 237, g: 51, b: 59 },
+            'pink': { r: 245, g: 121, b: 179 },
+            'purple': { r: 192, g: 97, b: 203 },
+            'slate': { r: 119, g: 127, b: 151 },
+        };
+    }
+
+    /**
+     * Get system accent color in specified format
+     * @param {string} format - 'rgb', 'rgba', or 'object' (default: 'rgba')
+     * @param {number} alpha - Alpha value for rgba format (default: 0.45)
+     * @returns {string|Object} Color in requested format
+     */
+    _getAccentColor(format = 'rgba', alpha = 0.45) {
+        try {
+            const schemaSource = Gio.SettingsSchemaSource.get_default();
+            const schema = schemaSource.lookup('org.gnome.desktop.interface', true);
+
+            if (schema) {
+                const interfaceSettings = new Gio.Settings({ settings_schema: schema });
+                const accentColorName = interfaceSettings.get_string('accent-color');
+                const colorMap = this._getAccentColorMap();
+                const color = colorMap[accentColorName] || colorMap['blue'];
+
+                if (format === 'rgb') {
+                    return `rgb(${color.r}, ${color.g}, ${color.b})`;
+                } else if (format === 'rgba') {
+                    return `rgba(${color.r}, ${color.g}, ${color.b}, ${alpha})`;
+                } else if (format === 'object') {
+                    return color;
+                }
+            }
+        } catch (e) {
+            log(`[Obision] Could not get accent color: ${e.message}`);
+        }
+
+        // Fallback to blue
+        const defaultColor = { r: 53, g: 132, b: 228 };
+        if (format === 'rgb') {
+            return `rgb(${defaultColor.r}, ${defaultColor.g}, ${defaultColor.b})`;
+        } else if (format === 'object') {
+            return defaultColor;
+        }
+        return `rgba(${defaultColor.r}, ${defaultColor.g}, ${defaultColor.b}, ${alpha})`;
+    }
+
+    // ===== Public Notification API =====
+
+    /**
+     * Send a notification to a desktop icon by filename
+     * @param {string} fileName - The name of the file on the desktop
+     * @param {Object} options - Notification options (message, urgency, duration, pulse)
+     * @returns {boolean} - True if notification was sent
+     */
+    notifyIcon(fileName, options = {}) {
+        const icon = this._findIconByName(fileName);
+        if (icon) {
+            icon.notify(options);
+            return true;
+        }
+        log(`Obision Desk: Icon not found for notification: ${fileName}`);
+        return false;
+    }
+
+    /**
+     * Tell D-Bus listeners that icons were moved by the user or by arranging
+     * @param {Object} positions - Map of file name to {col, row}
+     */
+    _onIconsMoved(positions) {
+        if (!this._dbusService) return;
+
+        for (const [fileName, { col, row }] of Object.entries(positions)) {
+            this._dbusService.emitIconMoved(fileName, col, row);
+        }
+    }
+
+    _onIconActivated(icon) {
+        if (this._dbusService) {
+            this._dbusService.emitIconActivated(icon._fileName);
+        }
+    }
+
+    /**
+     * Cap a notification level by the max-notification-level setting
+     * @param {string} urgency - Requested level
+     * @returns {string} The level actually shown
+     */
+    _capNotificationLevel(urgency) {
+        const maxLevel = this._settings.get_string('max-notification-level');
+        const max = NOTIFICATION_LEVELS.indexOf(maxLevel);
+        const requested = NOTIFICATION_LEVELS.indexOf(urgency);
+        if (max < 0) return urgency;
+        return NOTIFICATION_LEVELS[Math.min(requested, max)];
+    }
+
+    /**
+     * Dismiss notification on a specific icon
+     * @param {string} fileName - The name of the file
+     */
+    dismissIconNotification(fileName) {
+        const icon = this._findIconByName(fileName);
+        if (icon) {
+            icon.dismissNotification();
+        }
+    }
+
+    /**
+     * Dismiss all active notifications
+     */
+    dismissAllNotifications() {
+        for (const icon of this._getIcons()) {
+            if (icon.isNotifying) {
+                icon.dismissNotification();
+            }
+        }
+    }
+
+    // ===== Public Layout API =====
+
+    /**
+     * Put an icon at a cell
+     * For a file that has no icon (yet) only the position is saved
+     * @param {string} fileName - The name of the file on the desktop
+     * @param {number} col - Target column
+     * @param {number} row - Target row
+     * @returns {boolean} - False if the icon does not fit there
+     */
+    placeIcon(fileName, col, row) {
+        const icon = this._findIconByName(fileName);
+        if (!icon) {
+            this._saveIconPosition(fileName, col, row);
+            return true;
+        }
+
+        const { cols, rows } = icon._cellSize;
+        if (!this._canIconFitAt(this._getIconGrid(icon), col, row, cols, rows, [icon])) {
+            return false;
+        }
+        this._moveIconGroup([{ icon, dCol: 0, dRow: 0 }], col, row);
+        return true;
+    }
+
+    /**
+     * Set an icon's size in cells
+     * @param {string} fileName - The name of the file
+     * @param {string} sizeKey - A key of ICON_CELL_SIZES, e.g. '2x2'
+     */
+    setIconSize(fileName, sizeKey) {
+        this._setCustomIconCellSize(fileName, sizeKey);
+        const icon = this._findIconByName(fileName);
+        if (icon) {
+            const [cols, rows] = sizeKey.split('x').map(Number);
+            icon.updateSize({ cols, rows });
+        }
+    }
+
+    /**
+     * Set an icon's elevation (0-3)
+     */
+    setIconElevation(fileName, level) {
+        this._setIconElevation(fileName, level);
+        const icon = this._findIconByName(fileName);
+        if (icon) {
+            icon.setElevation(level);
+        }
+    }
+
+    /**
+     * Set an icon's background style (none, light, dark, accent)
+     */
+    setIconBackground(fileName, style) {
+        this._setIconBackground(fileName, style);
+        const icon = this._findIconByName(fileName);
+        if (icon) {
+            icon.setBackground(style);
+        }
+    }
+
+    /**
+     * Mark or unmark an icon as a widget
+     */
+    setIconWidget(fileName, enabled) {
+        this._setIconWidget(fileName, enabled);
+        const icon = this._findIconByName(fileName);
+        if (icon) {
+            icon.refreshIcon();
+        }
+    }
+
+    /**
+     * Find an icon by its filename
+     * @param {string} fileName - The filename to search for
+     * @returns {DesktopIcon|null}
+     */
+    _findIconByName(fileName) {
+        for (const icon of this._getIcons()) {
+            if (icon.getFileName() === fileName) {
+                return icon;
+            }
+        }
+        return null;
+    }
+
+    _getDefaultCellSize() {
+        return { cols: 1, rows: 1 };
+    }
+
+    // Cell-based size methods
+    _getIconCellSize(fileName) {
+        const customSize = this._getCustomIconCellSize(fileName);
+        if (customSize) {
+            return ICON_CELL_SIZES[customSize] || { cols: 1, rows: 1 };
+        }
+        return this._getDefaultCellSize(); // Use default from settings
+    }
+
+    _getCustomIconCellSize(fileName) {
+        try {
+            const json = this._settings.get_string('custom-icon-sizes');
+            const customSizes = JSON.parse(json) || {};
+            return customSizes[fileName] || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    _setCustomIconCellSize(fileName, cellSizeKey) {
+        try {
+            const json = this._settings.get_string('custom-icon-sizes');
+            const customSizes = JSON.parse(json) || {};
+            customSizes[fileName] = cellSizeKey;
+            this._settings.set_string('custom-icon-sizes', JSON.stringify(customSizes));
+        } catch (e) {
+            log(`Error saving custom icon cell size: ${e}`);
+        }
+    }
+
+    _removeCustomIconCellSize(fileName) {
+        try {
+            const json = this._settings.get_string('custom-icon-sizes');
+            const customSizes = JSON.parse(json) || {};
+            delete customSizes[fileName];
+            this._settings.set_string('custom-icon-sizes', JSON.stringify(customSizes));
+        } catch (e) {
+            log(`Error removing custom icon cell size: ${e}`);
+        }
+    }
+
+    // ===== Elevation Methods =====
+
+    _getIconElevation(fileName) {
+        try {
+            const json = this._settings.get_string('icon-elevations');
+            const elevations = JSON.parse(json) || {};
+            if (elevations[fileName] !== undefined) {
+                return elevations[fileName];
+            }
+            // Return default elevation
+            return this._settings.get_int('default-elevation');
+        } catch (e) {
+            return 0;
+        }
+    }
+
+    _setIconElevation(fileName, level) {
+        try {
+            const json = this._settings.get_string('icon-elevations');
+            const elevations = JSON.parse(json) || {};
+            if (level === this._settings.get_int('default-elevation')) {
+                // If setting to default, remove custom setting
+                delete elevations[fileName];
+            } else {
+                elevations[fileName] = level;
+            }
+            this._settings.set_string('icon-elevations', JSON.stringify(elevations));
+        } catch (e) {
+            log(`Error saving icon elevation: ${e}`);
+        }
+    }
+
+    // ===== Background Methods =====
+
+    _getIconBackground(fileName) {
+        try {
+            const json = this._settings.get_string('icon-backgrounds');
+            const backgrounds = JSON.parse(json) || {};
+            if (backgrounds[fileName]) {
+                return backgrounds[fileName];
+            }
+            // Return default background
+            return this._settings.get_string('default-background');
+        } catch (e) {
+            return 'none';
+        }
+    }
+
+    _setIconBackground(fileName, style) {
+        try {
+            const json = this._settings.get_string('icon-backgrounds');
+            const backgrounds = JSON.parse(json) || {};
+            const defaultBg = this._settings.get_string('default-background');
+            if (style === defaultBg) {
+                // If setting to default, remove custom setting
+                delete backgrounds[fileName];
+            } else {
+                backgrounds[fileName] = style;
+            }
+            this._settings.set_string('icon-backgrounds', JSON.stringify(backgrounds));
+        } catch (e) {
+            log(`Error saving icon background: ${e}`);
+        }
+    }
+
+    // ===== Widget Methods =====
+
+    _isIconWidget(fileName) {
+        try {
+            const json = this._settings.get_string('icon-widgets');
+            const widgets = JSON.parse(json) || {};
+            return widgets[fileName] === true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    _setIconWidget(fileName, enabled) {
+        try {
+            const json = this._settings.get_string('icon-widgets');
+            const widgets = JSON.parse(json) || {};
+            if (enabled) {
+                widgets[fileName] = true;
+            } else {
+                delete widgets[fileName];
+            }
+            this._settings.set_string('icon-widgets', JSON.stringify(widgets));
+        } catch (e) {
+            log(`Error saving icon widget mode: ${e}`);
+        }
+    }
+
+    _getDesktopPath() {
+        // Try XDG user dir first
+        const desktopPath = GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_DESKTOP);
+        if (desktopPath) {
+            return desktopPath;
+        }
+        // Fallback to ~/Desktop
+        return GLib.build_filenamev([GLib.get_home_dir(), 'Desktop']);
+    }
+
+    // ===== Rename =====
+
+    /**
+     * Check a new file name
+     * @returns {string|null} Error message, or null when the name is valid
+     */
+    _validateFileName(name) {
+        if (!name) {
+            return 'The name cannot be empty.';
+        }
+        if (name.includes('/')) {
+            return 'Names cannot contain "/".';
+        }
+        if (name === '.' || name === '..') {
+            return `"${name}" is not a valid name.`;
+        }
+        return null;
+    }
+
+    /**
+     * Rename a desktop item on disk and carry its per-icon settings over
+     */
+    async _renameDesktopItem(icon, newName) {
+        const error = this._validateFileName(newName);
+        if (error) {
+            this._primaryGrid._showAlertDialog('Invalid Name', error);
+            return;
+        }
+
+        const oldName = icon._fileName;
+        const file = icon.getFile();
+        if (!file) return;
+
+        const cancellable = this._cancellable;
+        let newFile;
+        try {
+            newFile = await file.set_display_name_async(
+                newName,
+                GLib.PRIORITY_DEFAULT,
+                cancellable
+            );
+            log(`[Obision] Renamed ${oldName} to ${newName}`);
+        } catch (e) {
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) return;
+
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) {
+                log(`[Obision] Item already exists: ${newName}`);
+                this._primaryGrid._showAlertDialog(
+                    'Name Exists',
+                    `An item named "${newName}" already exists.`
+                );
+            } else {
+                log(`[Obision] Error renaming ${oldName}: ${e}`);
+                this._primaryGrid._showAlertDialog(
+                    'Rename Failed',
+                    `Could not rename "${oldName}".`
+                );
+            }
+            return;
+        }
+
+        this._migrateIconMetadata(oldName, newName);
+
+        // Update the icon in place so it keeps its cell
+        try {
+            const fileInfo = await this._queryFileInfo(newFile, cancellable);
+            if (this._getIcons().includes(icon)) {
+                icon.updateFileInfo(fileInfo, newName);
+            }
+        } catch (e) {
+            if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                log(`[Obision] Error updating renamed icon: ${e}`);
+            }
+        }
+    }
+
+    /**
+     * Move every per-icon settings entry from one file name to another
+     */
+    _migrateIconMetadata(oldName, newName) {
+        for (const key of ICON_METADATA_KEYS) {
+            try {
+                const map = JSON.parse(this._settings.get_string(key)) || {};
+                if (oldName in map) {
+                    map[newName] = map[oldName];
+                    delete map[oldName];
+                    this._settings.set_string(key, JSON.stringify(map));
+                }
+            } catch (e) {
+                log(`Error migrating ${key} for ${oldName}: ${e}`);
+            }
+        }
+
+        // The layouts of the other profiles follow the file too
+        const profiles = this._loadLayoutProfiles();
+        const moved = Object.values(profiles).filter(positions => oldName in positions);
+        for (const positions of moved) {
+            positions[newName] = positions[oldName];
+            delete positions[oldName];
+        }
+        if (moved.length > 0) {
+            try {
+                this._settings.set_string('layout-profiles', JSON.stringify(profiles));
+            } catch (e) {
+                log(`Error migrating layout profiles for ${oldName}: ${e}`);
+            }
+        }
+
+        // Keep the position cache in sync
+        this._loadIconPositions();
+    }
+
+    _loadIconPositions() {
+        try {
+            const json = this._settings.get_string('icon-positions');
+            this._iconPositions = JSON.parse(json) || {};
+        } catch (e) {
+            this._iconPositions = {};
+        }
+    }
+
+    // ===== Layout Profiles =====
+    // icon-positions holds the layout of the active profile; the layouts of
+    // other monitor setups and grid sizes wait in layout-profiles
+
+    /**
+     * Name of the current layout profile: the connected monitors with their
+     * resolutions, and the grid size
+     */
+    _getLayoutProfileKey() {
+        const monitors = this._grids.map(grid => {
+            const monitor = Main.layoutManager.monitors[grid.monitorIndex];
+            return `${grid.monitorId}@${monitor.width}x${monitor.height}`;
+        });
+        const columns = this._settings.get_int('grid-columns');
+        const rows = this._settings.get_int('grid-rows');
+        return `${monitors.sort().join('+')}|${columns}x${rows}`;
+    }
+
+    _loadLayoutProfiles() {
+        try {
+            return JSON.parse(this._settings.get_string('layout-profiles')) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Drop the positions of files that are gone from the stored profiles
+     * The Trash and Home icons are kept, whether shown or not.
+     */
+    _pruneLayoutProfiles(profiles) {
+        const desktopDir = Gio.File.new_for_path(this._getDesktopPath());
+        const exists = new Map();
+        const isKept = name => {
+            if (name.startsWith('___')) return true;
+            if (!exists.has(name)) {
+                exists.set(name, desktopDir.get_child(name).query_exists(null));
             }
-            if (this._menuAnchor) {
-                this._menuAnchor.destroy();
-                this._menuAnchor = null;
+            return exists.get(name);
+        };
+
+        for (const positions of Object.values(profiles)) {
+            for (const name of Object.keys(positions)) {
+                if (!isKept(name)) delete positions[name];
             }
         }
+    }
 
-        _showCreateDialog(title, message, placeholder, callback) {
-            // Close menu first
-            this._closeDesktopMenu();
+    /**
+     * Store the positions of the profile being left and restore the ones
+     * last used with the current profile
+     * A profile seen for the first time starts from the current positions.
+     */
+    _switchLayoutProfile() {
+        if (this._grids.length === 0) return;
 
-            // Create modal dialog
-            const dialog = new ModalDialog.ModalDialog({
-                styleClass: 'modal-dialog',
-                destroyOnClose: true,
-            });
+        const key = this._getLayoutProfileKey();
+        const activeKey = this._settings.get_string('layout-profile');
+        if (key === activeKey) return;
 
-            // Dialog content
-            const contentBox = new St.BoxLayout({
-                vertical: true,
-                style: 'spacing: 12px; padding: 12px;',
-            });
+        const profiles = this._loadLayoutProfiles();
+        if (activeKey) {
+            profiles[activeKey] = { ...this._iconPositions };
+        }
+        this._pruneLayoutProfiles(profiles);
+        if (profiles[key]) {
+            this._iconPositions = { ...profiles[key] };
+            log(`[Obision] Restored layout profile ${key}`);
+        }
 
-            const titleLabel = new St.Label({
-                text: title,
-                style_class: 'dialog-header',
-                style: 'font-weight: bold; font-size: 1.2em; margin-bottom: 8px;',
-            });
-            contentBox.add_child(titleLabel);
+        try {
+            this._settings.set_string('icon-positions', JSON.stringify(this._iconPositions));
+            this._settings.set_string('layout-profiles', JSON.stringify(profiles));
+            this._settings.set_string('layout-profile', key);
+        } catch (e) {
+            log(`Error saving layout profile: ${e}`);
+        }
+    }
 
-            const messageLabel = new St.Label({
-                text: message,
-                style: 'color: rgba(255,255,255,0.7);',
-            });
-            contentBox.add_child(messageLabel);
+    // ===== Undo History =====
 
-            // Text entry
-            const entry = new St.Entry({
-                style: 'margin-top: 8px; min-width: 300px;',
-                text: '',
-                hint_text: placeholder,
-                can_focus: true,
-            });
-            contentBox.add_child(entry);
+    /**
+     * Record a reversible action on top of the undo stack
+     * Recording a new action drops anything that could be redone.
+     * @param {string} label - Names the action in the menu, e.g. 'Move'
+     * @param {Function} undo - Reverts the action, may return a promise
+     * @param {Function} redo - Applies the action again, may return a promise
+     */
+    _pushUndo(label, undo, redo) {
+        this._undoStack.push({ label, undo, redo });
+        if (this._undoStack.length > UNDO_LIMIT) {
+            this._undoStack.shift();
+        }
+        this._redoStack = [];
+    }
 
-            dialog.contentLayout.add_child(contentBox);
+    /**
+     * Revert the most recent action
+     */
+    undo() {
+        const action = this._undoStack.pop();
+        if (action) {
+            this._runHistoryAction(action, 'undo', this._redoStack);
+        }
+    }
 
-            // Add buttons
-            dialog.addButton({
-                label: 'Cancel',
-                action: () => {
-                    dialog.close();
-                },
-                key: Clutter.KEY_Escape,
-            });
+    /**
+     * Apply the most recently undone action again
+     */
+    redo() {
+        const action = this._redoStack.pop();
+        if (action) {
+            this._runHistoryAction(action, 'redo', this._undoStack);
+        }
+    }
 
-            const createButton = dialog.addButton({
-                label: 'Create',
-                action: () => {
-                    const name = entry.get_text().trim();
-                    if (name) {
-                        callback(name);
-                    }
-                    dialog.close();
-                },
-                default: true,
-            });
+    /**
+     * Run one direction of an action and file it on the other stack
+     * An action that fails (a folder that is no longer empty, a file gone
+     * from the Trash, file operations that all failed or were skipped) is
+     * dropped from the history.
+     */
+    async _runHistoryAction(action, direction, otherStack) {
+        try {
+            await action[direction]();
+            otherStack.push(action);
+        } catch (e) {
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) return;
+            log(`[Obision] Could not ${direction} ${action.label}: ${e.message}`);
 
-            // Style Create button with accent color
-            const buttonColor = this._extension._getAccentColor('rgb');
-            createButton.set_style(`background-color: ${buttonColor}; color: white; font-weight: bold;`);
+            // Failed file operations have already shown their own alert
+            if (e instanceof FileOperationError) return;
+            const verb = direction === 'undo' ? 'Undo' : 'Redo';
+            this._primaryGrid?._showAlertDialog(`Could Not ${verb} ${action.label}`, e.message);
+        }
+    }
 
-            // Disable button by default (empty field)
-            createButton.reactive = false;
-            createButton.can_focus = false;
-            createButton.set_opacity(128);
+    /**
+     * Whether a key event matches one of the accelerators of a shortcut setting
+     * @param {string} key - Settings key holding accelerators like '<Control>z'
+     */
+    _matchesShortcut(key, event) {
+        const modifierMask = Object.values(SHORTCUT_MODIFIERS).reduce((mask, mod) => mask | mod, 0);
+        const state = event.get_state() & modifierMask;
+        const symbol = event.get_key_symbol();
+        const character = String.fromCharCode(Clutter.keysym_to_unicode(symbol)).toLowerCase();
+
+        return this._settings.get_strv(key).some(accelerator => {
+            const match = accelerator.match(/^((?:<\w+>)*)(\w+)$/);
+            if (!match) return false;
+
+            let modifiers = 0;
+            for (const [, name] of match[1].matchAll(/<(\w+)>/g)) {
+                modifiers |= SHORTCUT_MODIFIERS[name.toLowerCase()] ?? 0;
+            }
+            // Single letters match either case, other keys by keysym name
+            const keyName = match[2];
+            if (keyName.length === 1) {
+                return keyName.toLowerCase() === character && modifiers === state;
+            }
+            return Clutter[`KEY_${keyName}`] === symbol && modifiers === state;
+        });
+    }
 
-            // Enable/disable Create button based on text input
-            entry.clutter_text.connect('text-changed', () => {
-                const text = entry.get_text().trim();
-                const hasText = text.length > 0;
-                createButton.reactive = hasText;
-                createButton.can_focus = hasText;
-                createButton.set_opacity(hasText ? 255 : 128);
-            });
+    /**
+     * Apply a per-icon setting to several icons as one undoable change
+     * @param {string} label - Names the change in the menu
+     * @param {string[]} fileNames - The icons to change
+     * @param {Function} getValue - Reads the current value of a file
+     * @param {Function} setValue - Stores and shows the value of a file
+     * @param {*} value - The new value
+     */
+    _changeIconSetting(label, fileNames, getValue, setValue, value) {
+        const before = fileNames.map(name => [name, getValue(name)]);
+        const after = fileNames.map(name => [name, value]);
+        const apply = values => {
+            for (const [name, fileValue] of values) {
+                setValue(name, fileValue);
+            }
+        };
 
-            // Handle Enter key in text entry
-            entry.clutter_text.connect('activate', () => {
-                const name = entry.get_text().trim();
-                if (name) {
-                    callback(name);
-                    dialog.close();
-                }
-            });
+        apply(after);
+        this._pushUndo(
+            label,
+            () => apply(before),
+            () => apply(after)
+        );
+    }
 
-            dialog.open();
+    /**
+     * Cells of the given icons, keyed by file name
+     * Hidden overflow icons have no cell and are left out.
+     */
+    _snapshotLayout(icons) {
+        const layout = {};
+        for (const icon of icons) {
+            if (!icon._overflow) {
+                layout[icon._fileName] = this._getIconCell(icon);
+            }
+        }
+        return layout;
+    }
 
-            // Focus entry
-            global.stage.set_key_focus(entry);
+    /**
+     * Move icons back to the cells of a layout snapshot
+     * Icons of an unplugged monitor stay on their grid, and cells taken in
+     * the meantime fall back to the nearest free cell.
+     */
+    _restoreLayout(layout) {
+        const icons = this._getIcons().filter(icon => layout[icon._fileName] && !icon._overflow);
+        for (const icon of icons) {
+            this._getIconGrid(icon).removeIconFromCells(icon);
         }
 
-        _showAlertDialog(title, message) {
-            // Create alert dialog using MessageDialogContent
-            const dialog = new ModalDialog.ModalDialog({
-                styleClass: 'modal-dialog',
-                destroyOnClose: true,
-            });
+        const positions = {};
+        for (const icon of icons) {
+            const saved = layout[icon._fileName];
+            const grid = this._getGridForMonitorId(saved.monitor) ?? this._getIconGrid(icon);
+            this._moveIconToGrid(icon, grid);
 
-            // Use MessageDialogContent for proper dialog structure
-            const content = new Dialog.MessageDialogContent({ title, description: message });
-            dialog.contentLayout.add_child(content);
+            const freeCell = grid.findNearestFreeCell(saved.col, saved.row, icon._cellSize);
+            if (!freeCell) {
+                this._overflowIcon(icon);
+                continue;
+            }
 
-            // Add OK button
-            dialog.addButton({
-                label: 'OK',
-                action: () => {
-                    dialog.close();
-                },
-                default: true,
-                key: Clutter.KEY_Return,
-            });
+            grid._reserveIconCells(icon, freeCell.col, freeCell.row);
+            positions[icon._fileName] = {
+                col: freeCell.col,
+                row: freeCell.row,
+                monitor: grid.monitorId,
+            };
 
-            dialog.open();
+            const cell = grid.getCell(freeCell.col, freeCell.row);
+            icon.ease({
+                x: cell.x,
+                y: cell.y,
+                duration: 150,
+                mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+            });
         }
 
-        _showNewFolderDialog() {
-            this._showCreateDialog(
-                'Create Folder',
-                'Enter folder name:',
-                'New Folder',
-                (folderName) => this._createFolder(folderName)
-            );
+        this._saveIconPositions(positions);
+        this._onIconsMoved(positions);
+    }
+
+    /**
+     * The results of a file operation run by undo or redo
+     * @throws {FileOperationError} When nothing went through, so the action
+     *   is not filed as done
+     */
+    _requireResults({ results, failed }) {
+        if (results.length === 0) {
+            throw new FileOperationError(failed.join('\n') || 'Nothing was changed');
         }
+        return results;
+    }
 
-        _createFolder(folderName) {
-            try {
-                const desktopPath = GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_DESKTOP);
-                const folderPath = GLib.build_filenamev([desktopPath, folderName]);
-                const folder = Gio.File.new_for_path(folderPath);
+    /**
+     * Move files to the Trash again
+     */
+    async _trashFiles(files) {
+        return this._requireResults(await this._fileOperations.trash(files));
+    }
 
-                // Check if folder already exists
-                if (folder.query_exists(null)) {
-                    log(`[Obision] Folder already exists: ${folderName}`);
-                    this._showAlertDialog('Folder Exists', `A folder named "${folderName}" already exists.`);
-                    return;
+    /**
+     * Move trashed files back to where they were trashed from
+     * When a path was trashed more than once, the newest copy comes back.
+     * @param {Gio.File[]} files - The original locations
+     */
+    async _restoreFromTrash(files) {
+        const newest = new Map(files.map(file => [file.get_path(), null]));
+
+        const enumerator = await Gio.File.new_for_uri('trash:///').enumerate_children_async(
+            'standard::name,trash::orig-path,trash::deletion-date',
+            Gio.FileQueryInfoFlags.NONE,
+            GLib.PRIORITY_DEFAULT,
+            this._cancellable
+        );
+        try {
+            let infos;
+            do {
+                infos = await enumerator.next_files_async(
+                    ENUMERATE_BATCH_SIZE,
+                    GLib.PRIORITY_DEFAULT,
+                    this._cancellable
+                );
+                for (const info of infos) {
+                    const origPath = info.get_attribute_byte_string('trash::orig-path');
+                    if (!newest.has(origPath)) continue;
+
+                    const deleted = info.get_deletion_date()?.to_unix() ?? 0;
+                    if (!newest.get(origPath) || deleted > newest.get(origPath).deleted) {
+                        newest.set(origPath, { file: enumerator.get_child(info), deleted });
+                    }
                 }
+            } while (infos.length > 0);
+        } finally {
+            await enumerator.close_async(GLib.PRIORITY_DEFAULT, null);
+        }
 
-                // Mark that we're creating a folder to avoid full reload
-                this._extension._creatingFolder = true;
+        // Failed moves are reported by the file operations themselves
+        const pairs = [];
+        const missing = [];
+        for (const [path, entry] of newest) {
+            if (entry) {
+                pairs.push([entry.file, Gio.File.new_for_path(path)]);
+            } else {
+                missing.push(`"${GLib.path_get_basename(path)}" is no longer in the Trash.`);
+            }
+        }
+        if (missing.length > 0) {
+            await this._fileOperations.move(pairs);
+            throw new Error(missing.join('\n'));
+        }
+        this._requireResults(await this._fileOperations.move(pairs));
+    }
 
-                // Create the folder
-                folder.make_directory(null);
-                log(`[Obision] Created folder: ${folderName}`);
+    // ===== Global Drag System =====
+    // Single stage listener handles all icon dragging
 
-                // Clear flag after a short delay
-                GLib.timeout_add(GLib.PRIORITY_DEFAULT, 1000, () => {
-                    this._extension._creatingFolder = false;
-                    return GLib.SOURCE_REMOVE;
-                });
-            } catch (e) {
-                log(`[Obision] Error creating folder: ${e}`);
-                this._extension._creatingFolder = false;
-            }
+    _setupGlobalDragHandler() {
+        this._dragIcon = null;
+        this._dragGroup = [];
+        this._dropIndicators = [];
+        this._dropTargetIcon = null;
+        this._dragStartX = 0;
+        this._dragStartY = 0;
+        this._iconStartX = 0;
+        this._iconStartY = 0;
+        this._isDragging = false;
+
+        this._stageEventId = global.stage.connect('captured-event',
+            this._onGlobalCapturedEvent.bind(this));
+    }
+
+    _cleanupGlobalDragHandler() {
+        if (this._stageEventId) {
+            global.stage.disconnect(this._stageEventId);
+            this._stageEventId = null;
         }
+        this._endRubberBand();
+        this._dragIcon = null;
+        this._dragGroup = [];
+    }
 
-        addIcon(icon, x, y) {
-            this._icons.push(icon);
-            this.add_child(icon);
+    _startIconDrag(icon, stageX, stageY) {
+        // Cancel any previous drag
+        this._cancelDrag();
 
-            // Position icon using fixed coordinates
-            icon.set_position(x, y);
+        this._dragIcon = icon;
+        this._dragStartX = stageX;
+        this._dragStartY = stageY;
+        this._iconStartX = icon.x;
+        this._iconStartY = icon.y;
+        this._isDragging = false;
+
+        // Calculate offset from click point to icon's top-left corner
+        // This ensures the icon follows the mouse from where it was clicked
+        const [gridX, gridY] = this._getIconGrid(icon)?.get_transformed_position() || [0, 0];
+        this._dragOffsetX = stageX - gridX - icon.x;
+        this._dragOffsetY = stageY - gridY - icon.y;
+    }
+
+    _onGlobalCapturedEvent(actor, event) {
+        // Rubber band selection in progress
+        if (this._rubberBand) {
+            return this._onRubberBandEvent(event);
         }
 
-        removeIcon(icon) {
-            const index = this._icons.indexOf(icon);
-            if (index > -1) {
-                this._icons.splice(index, 1);
-                icon.destroy();
+        // No icon being tracked
+        if (!this._dragIcon) {
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        // Safety check - verify icon is still valid
+        try {
+            if (!this._dragIcon.get_parent()) {
+                this._dragIcon = null;
+                return Clutter.EVENT_PROPAGATE;
             }
+        } catch (e) {
+            this._dragIcon = null;
+            return Clutter.EVENT_PROPAGATE;
         }
 
-        clearIcons() {
-            for (const icon of this._icons) {
-                icon.destroy();
+        const type = event.type();
+
+        if (type === Clutter.EventType.MOTION) {
+            // Check if mouse button is still pressed
+            const state = event.get_state();
+            const buttonPressed = (state & Clutter.ModifierType.BUTTON1_MASK) !== 0;
+
+            if (!buttonPressed) {
+                // Button was released but we missed the event
+                this._endDrag();
+                return Clutter.EVENT_PROPAGATE;
             }
-            this._icons = [];
-        }
 
-        getIcons() {
-            return this._icons;
-        }
+            const [stageX, stageY] = event.get_coords();
+            const dx = stageX - this._dragStartX;
+            const dy = stageY - this._dragStartY;
 
-        repositionIcons() {
-            const cellWidth = this._extension._getCellWidth();
-            const cellHeight = this._extension._getCellHeight();
-            const iconSize = this._extension._getIconSize();
-            const columns = this._extension._settings.get_int('grid-columns');
+            // Start actual drag if moved more than 3 pixels
+            if (!this._isDragging && (Math.abs(dx) > 3 || Math.abs(dy) > 3)) {
+                this._isDragging = true;
 
-            let col = 0;
-            let row = 0;
+                // Dragging a selected icon takes the whole selection along
+                // (each member remembers its original cell for rollback)
+                this._dragGroup = this._buildDragGroup(this._dragIcon);
+                for (const member of this._dragGroup) {
+                    member.icon._dragging = true;
+                    member.icon.add_style_class_name('dragging');
+                }
 
-            for (const icon of this._icons) {
-                const x = col * cellWidth;
-                const y = row * cellHeight;
+                // Create one drop indicator per dragged icon
+                this._createDropIndicators();
 
-                icon.set_position(x, y);
-                icon.updateSize(iconSize);
+                // Reset to eliminate jump
+                this._dragStartX = stageX;
+                this._dragStartY = stageY;
+                this._iconStartX = this._dragIcon.x;
+                this._iconStartY = this._dragIcon.y;
+            }
 
-                col++;
-                if (col >= columns) {
-                    col = 0;
-                    row++;
+            if (this._isDragging) {
+                // Check if mouse hit the edge of the screens - cancel and return
+                if (
+                    stageX <= 0 ||
+                    stageX >= global.stage.width - 1 ||
+                    stageY <= 0 ||
+                    stageY >= global.stage.height - 1
+                ) {
+                    this._cancelDrag();
+                    return Clutter.EVENT_STOP;
                 }
+
+                // Update drop indicator position instead of moving the icon
+                this._updateDropIndicator(stageX, stageY);
+                return Clutter.EVENT_STOP;
+            }
+        } else if (type === Clutter.EventType.BUTTON_RELEASE) {
+            if (this._dragIcon) {
+                const wasDragging = this._isDragging;
+                this._endDrag();
+                return wasDragging ? Clutter.EVENT_STOP : Clutter.EVENT_PROPAGATE;
             }
         }
 
-        destroy() {
-            this._closeDesktopMenu();
-            this.clearIcons();
-            super.destroy();
-        }
+        return Clutter.EVENT_PROPAGATE;
     }
-);
 
-/**
- * Main extension class
- */
-export default class ObisionExtDeskGrid extends Extension {
-    enable() {
-        log('Obision Desk enabling...');
+    _cancelDrag() {
+        if (!this._dragIcon) return;
 
-        this._settings = this.getSettings();
-        this._fileMonitor = null;
-        this._iconPositions = {}; // Cache for icon positions
-        this._initialLoad = true; // Flag to prevent overwriting preset positions on first load
+        const group = this._dragGroup;
+        const wasDragging = this._isDragging;
 
-        // Initialize cell grid (bidimensional array)
-        this._cells = null;
+        // Reset state
+        this._dragIcon = null;
+        this._dragGroup = [];
+        this._isDragging = false;
 
-        // Load saved positions
-        this._loadIconPositions();
+        // Destroy drop indicators
+        this._destroyDropIndicators();
 
-        // Setup global drag handler (single listener for all icons)
-        this._setupGlobalDragHandler();
+        if (wasDragging) {
+            for (const member of group) {
+                member.icon._dragging = false;
+                member.icon.remove_style_class_name('dragging');
+            }
+        }
+    }
 
-        // Create grid overlay (draws lines/dots)
-        this._gridOverlay = new GridOverlay(this);
+    _endDrag() {
+        if (!this._dragIcon) return;
 
-        // Create desktop grid
-        this._grid = new DesktopGrid(this);
+        const icon = this._dragIcon;
+        const group = this._dragGroup;
+        const wasDragging = this._isDragging;
 
-        // Add to background group (behind windows)
-        // This ensures the grid and icons are at desktop level, not above windows
-        Main.layoutManager._backgroundGroup.add_child(this._gridOverlay);
-        Main.layoutManager._backgroundGroup.add_child(this._grid);
+        // Get target cell from drop indicators before destroying them
+        const targetGrid = this._dropTargetGrid;
+        const targetCol = this._dropTargetCol;
+        const targetRow = this._dropTargetRow;
+        const targetIcon = this._dropTargetIcon;
+        const canDrop = this._canDrop;
 
-        // Wait for work area to be properly calculated (especially if dash is active)
-        // This prevents the grid from being positioned incorrectly on startup
-        this._initTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 150, () => {
-            // Position grid and overlay
-            this._updateGridPosition();
+        // Reset state first
+        this._dragIcon = null;
+        this._dragGroup = [];
+        this._isDragging = false;
 
-            // Build cell grid structure
-            this._buildCellGrid();
+        // Destroy drop indicators
+        this._destroyDropIndicators();
 
-            // Load desktop files
-            this._loadDesktopFiles();
+        if (wasDragging) {
+            for (const member of group) {
+                member.icon._dragging = false;
+                member.icon.remove_style_class_name('dragging');
+            }
 
-            this._initTimeoutId = null;
-            return GLib.SOURCE_REMOVE;
-        });
+            // Dropped onto a folder, the Trash or a launcher: the icons go back
+            // to their cells and the files are handed over
+            if (targetIcon) {
+                for (const member of group) {
+                    const memberGrid = this._getIconGrid(member.icon);
+                    memberGrid.placeIconInCell(member.icon, member.col, member.row);
+                }
+                this._dropOntoIcon(
+                    targetIcon,
+                    group.map(member => member.icon)
+                );
+                return;
+            }
 
-        // Monitor desktop directory for changes
-        this._setupFileMonitor();
+            // If we have a valid drop target, use it
+            if (canDrop && targetGrid && targetCol !== undefined && targetRow !== undefined) {
+                const before = {};
+                for (const member of group) {
+                    before[member.icon._fileName] = {
+                        col: member.col,
+                        row: member.row,
+                        monitor: this._getIconGrid(member.icon).monitorId,
+                    };
+                }
+                const after = this._moveIconGroup(group, targetCol, targetRow, targetGrid);
+                this._pushUndo(
+                    group.length > 1 ? 'Move Items' : 'Move',
+                    () => this._restoreLayout(before),
+                    () => this._restoreLayout(after)
+                );
+                return;
+            }
 
-        // Connect to settings changes
-        this._settingsChangedId = this._settings.connect('changed', (settings, key) => {
-            if (key === 'grid-columns' || key === 'grid-rows') {
-                // Grid dimensions changed - rebuild cell grid
-                this._buildCellGrid();
-                this._reloadIcons();
-                this._gridOverlay.refresh();
-            } else if (key === 'show-trash' || key === 'show-home') {
-                // Special icons visibility changed - reload all icons
-                this._reloadIcons();
-            } else if (key.startsWith('grid-')) {
-                this._gridOverlay.refresh();
+            // No valid drop, icons stay in place (original position)
+            // Re-place in original cells
+            for (const member of group) {
+                this._getIconGrid(member.icon).placeIconInCell(member.icon, member.col, member.row);
             }
-        });
+        } else {
+            // Was not a drag, just a click - select the icon
+            this._selectOnly(icon);
+        }
+    }
 
-        // Monitor for monitor changes
-        this._monitorsChangedId = Main.layoutManager.connect('monitors-changed', () => {
-            this._updateGridPosition();
-            this._buildCellGrid();
-            this._reloadIcons();
+    /**
+     * Collect the icons moved by a drag and their cell offsets from the
+     * icon under the pointer
+     */
+    _buildDragGroup(icon) {
+        const icons = icon.isSelected() ? this._getSelectedIcons() : [icon];
+        const origin = this._getIconCell(icon);
+
+        return icons.map(member => {
+            const cell = this._getIconCell(member);
+            return {
+                icon: member,
+                col: cell.col,
+                row: cell.row,
+                dCol: cell.col - origin.col,
+                dRow: cell.row - origin.row,
+            };
         });
+    }
 
-        // Monitor for work area changes (when panels/docks change size)
-        this._workareasChangedId = global.display.connect('workareas-changed', () => {
-            this._onWorkAreaChanged();
-        });
+    /**
+     * Move a drag group so its lead icon lands at col/row
+     * All cells are released before any is reserved, so members can
+     * take over each other's old cells
+     * @param {DesktopGrid} [grid] - Target grid, the lead icon's grid by default
+     * @returns {object} The new cells, keyed by file name
+     */
+    _moveIconGroup(group, col, row, grid = this._getIconGrid(group[0].icon)) {
+        for (const member of group) {
+            this._getIconGrid(member.icon).removeIconFromCells(member.icon);
+        }
 
-        // Try to connect to obision-dash settings for immediate updates
-        this._setupObisionDashIntegration();
+        const positions = {};
+        for (const member of group) {
+            const memberCol = col + member.dCol;
+            const memberRow = row + member.dRow;
+            this._moveIconToGrid(member.icon, grid);
+            grid._reserveIconCells(member.icon, memberCol, memberRow);
+            positions[member.icon._fileName] = {
+                col: memberCol,
+                row: memberRow,
+                monitor: grid.monitorId,
+            };
 
-        // Add keyboard shortcut for Create Folder (Shift+Ctrl+N)
-        Main.wm.addKeybinding(
-            'obision-desk-new-folder',
-            this._settings,
-            Meta.KeyBindingFlags.NONE,
-            Shell.ActionMode.NORMAL,
-            () => {
-                // Show create folder dialog
-                if (this._grid) {
-                    this._grid._showNewFolderDialog();
-                }
+            // Animate to cell position
+            const cell = grid.getCell(memberCol, memberRow);
+            if (cell) {
+                member.icon.ease({
+                    x: cell.x,
+                    y: cell.y,
+                    duration: 150,
+                    mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+                });
             }
-        );
+        }
 
-        log('Obision Desk enabled');
+        // Save using col/row
+        this._saveIconPositions(positions);
+        this._onIconsMoved(positions);
+        return positions;
     }
 
-    disable() {
-        log('Obision Desk disabling...');
+    _createDropIndicators() {
+        this._destroyDropIndicators();
 
-        // Cleanup initialization timeout
-        if (this._initTimeoutId) {
-            GLib.source_remove(this._initTimeoutId);
-            this._initTimeoutId = null;
+        for (let i = 0; i < this._dragGroup.length; i++) {
+            const indicator = new St.Widget({
+                style_class: 'drop-indicator',
+                reactive: false,
+            });
+            this._getIconGrid(this._dragIcon).add_child(indicator);
+            indicator.hide();
+            this._dropIndicators.push(indicator);
         }
+        this._canDrop = false;
+    }
 
-        // Cleanup global drag handler
-        this._cleanupGlobalDragHandler();
-
-        // Disconnect signals
-        if (this._settingsChangedId) {
-            this._settings.disconnect(this._settingsChangedId);
-            this._settingsChangedId = null;
-        }
+    _updateDropIndicator(stageX, stageY) {
+        if (this._dropIndicators.length === 0 || !this._dragIcon) return;
 
-        if (this._monitorsChangedId) {
-            Main.layoutManager.disconnect(this._monitorsChangedId);
-            this._monitorsChangedId = null;
-        }
+        // The grid of the monitor under the pointer
+        const grid = this._getGridAt(stageX, stageY);
+        const cellWidth = this._getCellWidth(grid);
+        const cellHeight = this._getCellHeight(grid);
 
-        if (this._workareasChangedId) {
-            global.display.disconnect(this._workareasChangedId);
-            this._workareasChangedId = null;
-        }
+        // Convert stage coordinates to grid coordinates
+        // Account for the offset where the user clicked within the icon
+        const [gridX, gridY] = grid?.get_transformed_position() || [0, 0];
+        const relX = stageX - gridX - (this._dragOffsetX || 0);
+        const relY = stageY - gridY - (this._dragOffsetY || 0);
 
-        // Cleanup obision-dash integration
-        this._cleanupObisionDashIntegration();
+        // Calculate target cell (top-left of where the lead icon would go)
+        const targetCol = Math.floor(relX / cellWidth);
+        const targetRow = Math.floor(relY / cellHeight);
 
-        // Remove keyboard shortcut
-        Main.wm.removeKeybinding('obision-desk-new-folder');
+        // An icon under the pointer that takes drops wins over empty cells
+        const targetIcon = grid?.getCellAtPixel(stageX - gridX, stageY - gridY)?.icon;
+        this._dropTargetIcon =
+            targetIcon instanceof DesktopIcon &&
+            targetIcon.getDropAction() &&
+            !this._dragGroup.some(member => member.icon === targetIcon)
+                ? targetIcon
+                : null;
+
+        // Check if the whole group fits there, or close by
+        const target =
+            grid && !this._dropTargetIcon
+                ? this._findGroupDropCell(grid, targetCol, targetRow)
+                : null;
+
+        if (this._dropTargetIcon) {
+            // One indicator around the target icon, styled as a drop into it
+            const [indicator, ...rest] = this._dropIndicators;
+            if (indicator.get_parent() !== grid) {
+                indicator.get_parent()?.remove_child(indicator);
+                grid.add_child(indicator);
+            }
+            indicator.add_style_class_name('drop-indicator-target');
+            indicator.set_position(this._dropTargetIcon.x, this._dropTargetIcon.y);
+            indicator.set_size(this._dropTargetIcon.width, this._dropTargetIcon.height);
+            indicator.show();
+            for (const other of rest) {
+                other.hide();
+            }
+            this._canDrop = false;
+        } else if (target) {
+            // Show one indicator per footprint
+            this._dragGroup.forEach((member, i) => {
+                const size = member.icon._cellSize || { cols: 1, rows: 1 };
+                const indicator = this._dropIndicators[i];
+                indicator.remove_style_class_name('drop-indicator-target');
+                if (indicator.get_parent() !== grid) {
+                    indicator.get_parent()?.remove_child(indicator);
+                    grid.add_child(indicator);
+                }
+                indicator.set_position(
+                    (target.col + member.dCol) * cellWidth,
+                    (target.row + member.dRow) * cellHeight
+                );
+                indicator.set_size(cellWidth * size.cols, cellHeight * size.rows);
+                indicator.show();
+            });
 
-        // Cleanup work area debounce timeout
-        if (this._workAreaDebounceId) {
-            GLib.source_remove(this._workAreaDebounceId);
-            this._workAreaDebounceId = null;
+            this._dropTargetGrid = grid;
+            this._dropTargetCol = target.col;
+            this._dropTargetRow = target.row;
+            this._canDrop = true;
+        } else {
+            // Hide indicators - can't drop here
+            for (const indicator of this._dropIndicators) {
+                indicator.hide();
+            }
+            this._canDrop = false;
         }
+    }
 
-        // Stop file monitor
-        if (this._fileMonitor) {
-            this._fileMonitor.cancel();
-            this._fileMonitor = null;
+    /**
+     * Find where the drag group can land: the target cell itself, or the
+     * nearest cell within DROP_FALLBACK_RADIUS where no member collides
+     */
+    _findGroupDropCell(grid, targetCol, targetRow) {
+        if (this._canGroupFitAt(grid, targetCol, targetRow)) {
+            return { col: targetCol, row: targetRow };
         }
 
-        // Remove grid overlay
-        if (this._gridOverlay) {
-            Main.layoutManager._backgroundGroup.remove_child(this._gridOverlay);
-            this._gridOverlay.destroy();
-            this._gridOverlay = null;
-        }
+        // Spiral search
+        for (let radius = 1; radius <= DROP_FALLBACK_RADIUS; radius++) {
+            for (let dc = -radius; dc <= radius; dc++) {
+                for (let dr = -radius; dr <= radius; dr++) {
+                    if (Math.abs(dc) !== radius && Math.abs(dr) !== radius) continue;
 
-        // Remove grid
-        if (this._grid) {
-            Main.layoutManager._backgroundGroup.remove_child(this._grid);
-            this._grid.destroy();
-            this._grid = null;
+                    if (this._canGroupFitAt(grid, targetCol + dc, targetRow + dr)) {
+                        return { col: targetCol + dc, row: targetRow + dr };
+                    }
+                }
+            }
         }
-
-        this._settings = null;
-
-        log('Obision Desk disabled');
+        return null;
     }
 
-    _updateGridPosition() {
-        const monitor = Main.layoutManager.primaryMonitor;
-        if (!monitor || !this._grid) return;
+    _canGroupFitAt(grid, col, row) {
+        const draggedIcons = this._dragGroup.map(member => member.icon);
+
+        return this._dragGroup.every(member => {
+            const size = member.icon._cellSize || { cols: 1, rows: 1 };
+            return this._canIconFitAt(
+                grid,
+                col + member.dCol,
+                row + member.dRow,
+                size.cols,
+                size.rows,
+                draggedIcons
+            );
+        });
+    }
 
-        const workArea = Main.layoutManager.getWorkAreaForMonitor(monitor.index);
-        const columns = this._settings.get_int('grid-columns');
-        const rows = this._settings.get_int('grid-rows');
+    _canIconFitAt(grid, col, row, cols, rows, draggedIcons) {
+        // Check bounds
+        const gridCols = this._settings.get_int('grid-columns');
+        const gridRows = this._settings.get_int('grid-rows');
 
-        // Calculate cell size (integer division)
-        const cellWidth = Math.floor(workArea.width / columns);
-        const cellHeight = Math.floor(workArea.height / rows);
+        if (col < 0 || row < 0 || col + cols > gridCols || row + rows > gridRows) {
+            return false;
+        }
 
-        // Calculate actual grid size (may be slightly smaller than workArea)
-        const gridWidth = cellWidth * columns;
-        const gridHeight = cellHeight * rows;
+        // Check if all cells are free (ignoring the dragged icons' current cells)
+        for (let c = col; c < col + cols; c++) {
+            for (let r = row; r < row + rows; r++) {
+                const cell = grid.getCell(c, r);
+                if (!cell) return false;
+                if (cell.icon && !draggedIcons.includes(cell.icon)) {
+                    return false;
+                }
+            }
+        }
 
-        // Center the grid in the work area to distribute leftover pixels evenly
-        const offsetX = Math.floor((workArea.width - gridWidth) / 2);
-        const offsetY = Math.floor((workArea.height - gridHeight) / 2);
+        return true;
+    }
 
-        const gridX = workArea.x + offsetX;
-        const gridY = workArea.y + offsetY;
+    _destroyDropIndicators() {
+        for (const indicator of this._dropIndicators || []) {
+            indicator.destroy();
+        }
+        this._dropIndicators = [];
+        this._dropTargetGrid = null;
+        this._dropTargetCol = undefined;
+        this._dropTargetRow = undefined;
+        this._dropTargetIcon = null;
+        this._canDrop = false;
+    }
 
-        // Position grid overlay
-        if (this._gridOverlay) {
-            this._gridOverlay.set_position(gridX, gridY);
-            this._gridOverlay.set_size(gridWidth, gridHeight);
-            this._gridOverlay.refresh();
+    /**
+     * Hand dragged icons' files to the icon they were dropped onto, as its
+     * getDropAction() says
+     * The Trash and Home icons themselves are never moved or trashed.
+     */
+    _dropOntoIcon(target, icons) {
+        icons = icons.filter(icon => !icon.isSpecial());
+        if (icons.length === 0) return;
+
+        switch (target.getDropAction()) {
+            case 'trash':
+                this._trashIcons(icons);
+                break;
+            case 'folder':
+                this._moveFilesInto(
+                    icons.map(icon => icon.getFile()),
+                    target.getFile()
+                );
+                break;
+            case 'launch':
+                try {
+                    target._getDesktopAppInfo().launch(
+                        icons.map(icon => icon.getFile()),
+                        null
+                    );
+                } catch (e) {
+                    log(`[Obision] Error opening files with ${target._fileName}: ${e}`);
+                    const title = `Could Not Open With ${target.getDisplayName()}`;
+                    this._primaryGrid?._showAlertDialog(title, e.message);
+                }
+                break;
         }
+    }
 
-        // Position icon container - use exact grid size
-        this._grid.set_position(gridX, gridY);
-        this._grid.set_size(gridWidth, gridHeight);
-
-        // Store grid bounds for cell calculations
-        this._gridBounds = {
-            x: gridX,
-            y: gridY,
-            width: gridWidth,
-            height: gridHeight,
-            cellWidth: cellWidth,
-            cellHeight: cellHeight,
-        };
-
-        // Rebuild cell grid when position changes
-        this._buildCellGrid();
+    /**
+     * Move the files of icons to the Trash as one undoable action
+     */
+    async _trashIcons(icons) {
+        const files = icons.map(icon => icon.getFile()).filter(file => file);
+        const { results: trashed } = await this._fileOperations.trash(files);
+        if (trashed.length === 0) return;
+
+        this._pushUndo(
+            'Move to Trash',
+            () => this._restoreFromTrash(trashed),
+            () => this._trashFiles(trashed)
+        );
     }
 
     /**
-     * Handle work area changes (triggered by panels/docks resizing)
+     * Move files into a folder as one undoable action
      */
-    _onWorkAreaChanged() {
-        // Debounce to avoid multiple rapid updates
-        if (this._workAreaDebounceId) {
-            GLib.source_remove(this._workAreaDebounceId);
+    async _moveFilesInto(files, folder) {
+        const pairs = files.map(file => [file, folder.get_child(file.get_basename())]);
+        const { results: moves } = await this._fileOperations.move(pairs);
+        if (moves.length > 0) {
+            this._pushMoveUndo('Move Into Folder', moves);
         }
-
-        this._workAreaDebounceId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
-            this._updateGridPosition();
-            this._reloadIcons();
-            this._workAreaDebounceId = null;
-            return GLib.SOURCE_REMOVE;
-        });
     }
 
     /**
-     * Setup integration with obision-ext-dash
-     * Listen to its settings for immediate grid updates when dash changes
+     * Record moved files so undo moves them back
+     * @param {Array} moves - [source, destination] pairs as moved
      */
-    _setupObisionDashIntegration() {
-        const DASH_SCHEMA = 'com.obision.ext.dash';
+    _pushMoveUndo(label, moves) {
+        const reversed = moves.map(([source, destination]) => [destination, source]);
+        this._pushUndo(
+            label,
+            async () => this._requireResults(await this._fileOperations.move(reversed)),
+            async () => this._requireResults(await this._fileOperations.move(moves))
+        );
+    }
 
-        try {
-            // Try to get obision-dash settings
-            const schemaSource = Gio.SettingsSchemaSource.get_default();
-            const schema = schemaSource.lookup(DASH_SCHEMA, true);
+    // ===== Rubber Band Selection =====
 
-            if (schema) {
-                this._dashSettings = new Gio.Settings({ settings_schema: schema });
+    _startRubberBand(grid, stageX, stageY, extend) {
+        this._endRubberBand();
 
-                // Keys that affect the work area
-                const relevantKeys = ['dash-size', 'dash-position', 'auto-hide', 'panel-padding'];
+        // Keep the previous selection only when extending it
+        this._rubberBandBaseSelection = extend ? this._getSelectedIcons() : [];
+        if (!extend) {
+            this._deselectAll();
+        }
 
-                this._dashSettingsId = this._dashSettings.connect('changed', (settings, key) => {
-                    if (relevantKeys.includes(key)) {
-                        // Give the dash time to update its chrome and GNOME to recalculate workArea
-                        GLib.timeout_add(GLib.PRIORITY_DEFAULT, 300, () => {
-                            this._onWorkAreaChanged();
-                            return GLib.SOURCE_REMOVE;
-                        });
-                    }
-                });
+        // The band stays on the grid it was started on
+        this._rubberBandGrid = grid;
+        const [gridX, gridY] = grid.get_transformed_position();
+        this._rubberBandStartX = stageX - gridX;
+        this._rubberBandStartY = stageY - gridY;
 
-                log('[Obision Desk] Connected to obision-ext-dash settings');
+        this._rubberBand = new St.Widget({
+            style_class: 'desktop-rubberband',
+            reactive: false,
+        });
+        grid.add_child(this._rubberBand);
+        this._rubberBand.hide();
+    }
+
+    _onRubberBandEvent(event) {
+        const type = event.type();
+
+        if (type === Clutter.EventType.MOTION) {
+            const buttonPressed = (event.get_state() & Clutter.ModifierType.BUTTON1_MASK) !== 0;
+            if (!buttonPressed) {
+                // Button was released but we missed the event
+                this._endRubberBand();
+                return Clutter.EVENT_PROPAGATE;
             }
-        } catch (e) {
-            // obision-dash not installed or schema not available - that's fine
-            log(`[Obision Desk] obision-dash integration not available: ${e.message}`);
+
+            const [stageX, stageY] = event.get_coords();
+            this._updateRubberBand(stageX, stageY);
+            return Clutter.EVENT_STOP;
+        } else if (type === Clutter.EventType.BUTTON_RELEASE) {
+            this._endRubberBand();
+            return Clutter.EVENT_STOP;
         }
+
+        return Clutter.EVENT_PROPAGATE;
     }
 
-    /**
-     * Cleanup obision-dash integration
-     */
-    _cleanupObisionDashIntegration() {
-        if (this._dashSettingsId && this._dashSettings) {
-            this._dashSettings.disconnect(this._dashSettingsId);
-            this._dashSettingsId = null;
+    _updateRubberBand(stageX, stageY) {
+        const grid = this._rubberBandGrid;
+        const [gridX, gridY] = grid.get_transformed_position();
+
+        // Clamp to the grid so the band never leaves the desktop
+        const endX = Math.max(0, Math.min(stageX - gridX, grid.width));
+        const endY = Math.max(0, Math.min(stageY - gridY, grid.height));
+
+        const x1 = Math.min(this._rubberBandStartX, endX);
+        const y1 = Math.min(this._rubberBandStartY, endY);
+        const x2 = Math.max(this._rubberBandStartX, endX);
+        const y2 = Math.max(this._rubberBandStartY, endY);
+
+        this._rubberBand.set_position(x1, y1);
+        this._rubberBand.set_size(x2 - x1, y2 - y1);
+        this._rubberBand.show();
+
+        // Select every icon of this grid whose footprint intersects the band
+        for (const icon of this._getIcons()) {
+            const intersects =
+                icon._desktopGrid === grid &&
+                !icon._overflow &&
+                icon.x < x2 &&
+                icon.x + icon.width > x1 &&
+                icon.y < y2 &&
+                icon.y + icon.height > y1;
+
+            if (intersects || this._rubberBandBaseSelection.includes(icon)) {
+                icon.select();
+            } else {
+                icon.deselect();
+            }
         }
-        this._dashSettings = null;
+    }
 
-        if (this._workAreaDebounceId) {
-            GLib.source_remove(this._workAreaDebounceId);
-            this._workAreaDebounceId = null;
+    _endRubberBand() {
+        if (this._rubberBand) {
+            this._rubberBand.destroy();
+            this._rubberBand = null;
         }
+        this._rubberBandGrid = null;
+        this._rubberBandBaseSelection = [];
     }
 
-    /**
-     * Build the bidimensional cell grid structure
-     * Each cell contains: x, y, width, height, icon reference, occupied status
-     */
-    _buildCellGrid() {
-        const columns = this._settings.get_int('grid-columns');
-        const rows = this._settings.get_int('grid-rows');
+    _getValidBounds() {
+        // Use grid dimensions since icons are positioned relative to grid
+        const grid = this._primaryGrid;
+        if (!grid) {
+            return { maxX: 800, maxY: 600 }; // Fallback
+        }
         const cellWidth = this._getCellWidth();
         const cellHeight = this._getCellHeight();
+        const maxX = grid.width - cellWidth;
+        const maxY = grid.height - cellHeight;
+        return { maxX: Math.max(0, maxX), maxY: Math.max(0, maxY) };
+    }
 
-        // Initialize 2D array
-        this._cells = [];
-
-        for (let col = 0; col < columns; col++) {
-            this._cells[col] = [];
-            for (let row = 0; row < rows; row++) {
-                this._cells[col][row] = {
-                    col: col,
-                    row: row,
-                    x: col * cellWidth,
-                    y: row * cellHeight,
-                    width: cellWidth,
-                    height: cellHeight,
-                    icon: null,
-                    occupied: false,
-                };
-            }
-        }
-
-        log(`[Obision] Cell grid built: ${columns}x${rows}, cell size: ${cellWidth}x${cellHeight}`);
+    _saveIconPosition(fileName, col, row) {
+        // Save column and row directly (not pixels)
+        this._saveIconPositions({ [fileName]: { col: col, row: row } });
     }
 
     /**
-     * Get cell at column, row
+     * Save several icon positions with a single settings write
+     * @param {Object} positions - Map of filename to {col, row, monitor}
      */
-    getCell(col, row) {
-        if (!this._cells) return null;
-        if (col < 0 || row < 0) return null;
-        if (col >= this._cells.length) return null;
-        if (row >= this._cells[col].length) return null;
-        return this._cells[col][row];
+    _saveIconPositions(positions) {
+        Object.assign(this._iconPositions, positions);
+        try {
+            this._settings.set_string('icon-positions', JSON.stringify(this._iconPositions));
+        } catch (e) {
+            log(`Error saving icon position: ${e}`);
+        }
     }
 
-    /**
-     * Get cell at pixel coordinates
-     */
-    getCellAtPixel(x, y) {
+    _getIconPosition(fileName, defaultX, defaultY) {
         const cellWidth = this._getCellWidth();
         const cellHeight = this._getCellHeight();
-        const col = Math.floor(x / cellWidth);
-        const row = Math.floor(y / cellHeight);
-        return this.getCell(col, row);
-    }
+        const bounds = this._getValidBounds();
 
-    /**
-     * Place icon in cell (marks cells as occupied for multi-cell icons)
-     */
-    placeIconInCell(icon, col, row) {
-        const cellSize = icon._cellSize || { cols: 1, rows: 1 };
+        if (this._iconPositions[fileName]) {
+            const saved = this._iconPositions[fileName];
 
-        // Mark all cells this icon occupies
-        for (let dc = 0; dc < cellSize.cols; dc++) {
-            for (let dr = 0; dr < cellSize.rows; dr++) {
-                const cell = this.getCell(col + dc, row + dr);
-                if (cell) {
-                    cell.occupied = true;
-                    cell.icon = icon;
-                }
+            // Handle both old format (x,y pixels) and new format (col,row)
+            let col, row;
+            if (saved.col !== undefined && saved.row !== undefined) {
+                // New format: col/row
+                col = saved.col;
+                row = saved.row;
+            } else {
+                // Old format: x/y pixels - convert to col/row
+                col = Math.round(saved.x / cellWidth);
+                row = Math.round(saved.y / cellHeight);
             }
-        }
 
-        // Position the icon at the cell's pixel position
-        const cell = this.getCell(col, row);
-        if (cell) {
-            icon.set_position(cell.x, cell.y);
+            // Clamp to valid range
+            const x = Math.max(0, Math.min(col * cellWidth, bounds.maxX));
+            const y = Math.max(0, Math.min(row * cellHeight, bounds.maxY));
+            return { x, y };
         }
+
+        // Snap default position to grid
+        const col = Math.round(defaultX / cellWidth);
+        const row = Math.round(defaultY / cellHeight);
+        return { x: col * cellWidth, y: row * cellHeight };
     }
 
     /**
-     * Remove icon from its cells
+     * Fit the grids to the current geometry and reload all icons
+     * Positions are saved with the old geometry first. Existing icons are
+     * re-placed in the rebuilt cell grid rather than recreated, then the
+     * Desktop directory is reconciled
+     * @param {string[]} [monitorIds] - Replace the grids for a new set of monitors
      */
-    removeIconFromCells(icon) {
-        if (!this._cells) return;
+    _reloadIcons(monitorIds = null) {
+        // Only save positions if this is not the initial load
+        // (prevents overwriting preset dconf values on first startup)
+        if (!this._initialLoad) {
+            // Save current icon positions before re-placing
+            const positions = {};
+            for (const icon of this._getIcons()) {
+                // Overflowing icons have no cell to save
+                if (icon._overflow) continue;
 
-        const columns = this._settings.get_int('grid-columns');
-        const rows = this._settings.get_int('grid-rows');
+                // Icons sitting in for an unplugged monitor keep their place there
+                const saved = this._iconPositions[icon._fileName];
+                if (saved?.monitor && !this._getGridForMonitorId(saved.monitor)) continue;
 
-        for (let col = 0; col < columns; col++) {
-            for (let row = 0; row < rows; row++) {
-                const cell = this.getCell(col, row);
-                if (cell && cell.icon === icon) {
-                    cell.icon = null;
-                    cell.occupied = false;
-                }
+                positions[icon._fileName] = this._getIconCell(icon);
             }
+            this._saveIconPositions(positions);
+        }
+
+        if (monitorIds) {
+            this._createGrids(monitorIds);
+        } else {
+            this._updateGridPosition();
         }
+
+        // A monitor setup or grid size seen before gets its own layout back
+        this._switchLayoutProfile();
+        this._relayoutIcons();
+
+        // Pick up anything that changed on disk meanwhile
+        this._reconcileIcons();
+
+        // Mark that initial load is complete
+        this._initialLoad = false;
     }
 
     /**
-     * Check if cells are free for placing an icon
+     * Resize every icon for the current cell size and put it back at its
+     * saved cell in a fresh cell grid
      */
-    areCellsFree(col, row, cellSize, excludeIcon = null) {
-        const cols = cellSize.cols || 1;
-        const rows = cellSize.rows || 1;
+    _relayoutIcons() {
+        for (const grid of this._grids) {
+            grid._buildCellGrid();
+        }
 
-        for (let dc = 0; dc < cols; dc++) {
-            for (let dr = 0; dr < rows; dr++) {
-                const cell = this.getCell(col + dc, row + dr);
-                if (!cell) return false; // Out of bounds
-                if (cell.occupied && cell.icon !== excludeIcon) return false;
+        // Special icons first, then icons with a saved position, then the rest
+        const icons = this._getIcons();
+        const special = icons.filter(icon => icon.isSpecial());
+        const regular = icons.filter(icon => !icon.isSpecial());
+        const saved = regular.filter(icon => this._iconPositions[icon._fileName]);
+        const unsaved = regular.filter(icon => !this._iconPositions[icon._fileName]);
+
+        for (const icon of [...special, ...saved, ...unsaved]) {
+            // Tiles shrunk to make room get their saved size back
+            icon._cellSize = this._getIconCellSize(icon._fileName);
+            const freeCell = this._findCellForIcon(icon);
+            if (freeCell) {
+                this._moveIconToGrid(icon, freeCell.grid);
+                icon.updateSize();
+                freeCell.grid.placeIconInCell(icon, freeCell.col, freeCell.row);
+            } else {
+                icon.updateSize();
+                this._overflowIcon(icon);
             }
         }
-        return true;
     }
 
     /**
-     * Find first free cell that can fit the icon
+     * Initial load of the Desktop directory
+     * Positions are not saved so preset dconf values survive the first startup
      */
-    findFreeCell(cellSize, excludeIcon = null) {
-        const columns = this._settings.get_int('grid-columns');
-        const rows = this._settings.get_int('grid-rows');
-
-        for (let row = 0; row < rows; row++) {
-            for (let col = 0; col < columns; col++) {
-                if (this.areCellsFree(col, row, cellSize, excludeIcon)) {
-                    return { col, row };
-                }
-            }
-        }
-        return null;
+    _loadDesktopFiles() {
+        this._reconcileIcons(false);
     }
 
     /**
-     * Find nearest free cell to target position
+     * Read the Desktop directory without blocking the shell
+     * @param {Function} onBatch - Called with the visible Gio.FileInfo of each batch as it arrives
+     * @param {Gio.Cancellable} cancellable - Aborts the read
      */
-    findNearestFreeCell(targetCol, targetRow, cellSize, excludeIcon = null) {
-        // Try target cell first
-        if (this.areCellsFree(targetCol, targetRow, cellSize, excludeIcon)) {
-            return { col: targetCol, row: targetRow };
-        }
-
-        // Spiral search
-        const maxRadius = 20;
-        for (let radius = 1; radius <= maxRadius; radius++) {
-            for (let dc = -radius; dc <= radius; dc++) {
-                for (let dr = -radius; dr <= radius; dr++) {
-                    if (Math.abs(dc) !== radius && Math.abs(dr) !== radius) continue;
+    async _enumerateDesktop(onBatch, cancellable) {
+        const desktopDir = Gio.File.new_for_path(this._getDesktopPath());
+        const enumerator = await desktopDir.enumerate_children_async(
+            FILE_ATTRIBUTES,
+            Gio.FileQueryInfoFlags.NONE,
+            GLib.PRIORITY_DEFAULT,
+            cancellable
+        );
 
-                    const col = targetCol + dc;
-                    const row = targetRow + dr;
+        try {
+            for (;;) {
+                const fileInfos = await enumerator.next_files_async(
+                    ENUMERATE_BATCH_SIZE,
+                    GLib.PRIORITY_DEFAULT,
+                    cancellable
+                );
+                if (fileInfos.length === 0) break;
 
-                    if (col < 0 || row < 0) continue;
+                // Skip hidden files
+                const visible = fileInfos.filter(info => !info.get_name().startsWith('.'));
+                await Promise.all(
+                    visible.map(info => {
+                        const file = desktopDir.get_child(info.get_name());
+                        return this._prepareFileInfo(file, info, cancellable);
+                    })
+                );
 
-                    if (this.areCellsFree(col, row, cellSize, excludeIcon)) {
-                        return { col, row };
-                    }
-                }
+                cancellable.set_error_if_cancelled();
+                onBatch(visible);
             }
+        } finally {
+            await enumerator.close_async(GLib.PRIORITY_DEFAULT, null);
         }
-        return null;
-    }
-
-    _getCellWidth() {
-        // Use cached value if available
-        if (this._gridBounds?.cellWidth) {
-            return this._gridBounds.cellWidth;
-        }
-        const monitor = Main.layoutManager.primaryMonitor;
-        if (!monitor) return 80;
-        const workArea = Main.layoutManager.getWorkAreaForMonitor(monitor.index);
-        const columns = this._settings.get_int('grid-columns');
-        return Math.floor(workArea.width / columns);
     }
 
-    _getCellHeight() {
-        // Use cached value if available
-        if (this._gridBounds?.cellHeight) {
-            return this._gridBounds.cellHeight;
-        }
-        const monitor = Main.layoutManager.primaryMonitor;
-        if (!monitor) return 100;
-        const workArea = Main.layoutManager.getWorkAreaForMonitor(monitor.index);
-        const rows = this._settings.get_int('grid-rows');
-        return Math.floor(workArea.height / rows);
+    /**
+     * Query a desktop item's info, parsing it first if it is a .desktop file
+     * @returns {Promise<Gio.FileInfo>}
+     */
+    async _queryFileInfo(file, cancellable) {
+        const fileInfo = await file.query_info_async(
+            FILE_ATTRIBUTES,
+            Gio.FileQueryInfoFlags.NONE,
+            GLib.PRIORITY_DEFAULT,
+            cancellable
+        );
+        await this._prepareFileInfo(file, fileInfo, cancellable);
+        return fileInfo;
     }
 
-    _getBaseIconSize() {
-        // Base icon size is the size that fits in a single cell
-        // Account for padding and label
-        const cellWidth = this._getCellWidth();
-        const cellHeight = this._getCellHeight();
-        const padding = Math.floor(Math.min(cellWidth, cellHeight) * CELL_PADDING_RATIO);
-        const availableHeight = cellHeight - LABEL_HEIGHT - padding * 2;
-        const availableWidth = cellWidth - padding * 2;
-        return Math.max(MIN_ICON_SIZE, Math.min(availableWidth, availableHeight));
-    }
+    /**
+     * Attach the file, and for .desktop files the parsed launcher, to a file info
+     */
+    async _prepareFileInfo(file, fileInfo, cancellable) {
+        // Store file reference in the file info
+        fileInfo.set_attribute_object('standard::file', file);
 
-    _getIconPixelSize(cellSize) {
-        // Calculate pixel size for an icon based on cell dimensions
-        // cellSize is {cols, rows} - use minimum dimension to keep icon square
-        const baseSize = this._getBaseIconSize();
-        const cells = typeof cellSize === 'object'
-            ? Math.min(cellSize.cols, cellSize.rows)
-            : cellSize;
-        return Math.max(MIN_ICON_SIZE, baseSize * cells);
-    }
+        if (!fileInfo.get_name().endsWith('.desktop')) return;
 
-    _getCellSize() {
-        // Alias for _getCellWidth for backward compatibility
-        return this._getCellWidth();
-    }
+        try {
+            const [bytes] = await file.load_bytes_async(cancellable);
+            const keyFile = new GLib.KeyFile();
+            keyFile.load_from_bytes(bytes, GLib.KeyFileFlags.NONE);
 
-    _getIconSize() {
-        // Return base icon size (1x1 cell icon size)
-        return this._getBaseIconSize();
+            const desktopAppInfo = Gio.DesktopAppInfo.new_from_keyfile(keyFile);
+            if (desktopAppInfo) {
+                fileInfo.set_attribute_object(DESKTOP_APP_INFO_ATTRIBUTE, desktopAppInfo);
+            }
+        } catch (e) {
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) throw e;
+            log(`Error reading .desktop file ${fileInfo.get_name()}: ${e}`);
+        }
     }
 
     /**
-     * Get GNOME accent color RGB values
-     * @returns {Object} RGB values for each accent color name
+     * Create and place icons for new files
+     * @param {Gio.FileInfo[]} fileInfos - Files without an icon yet
+     * @param {boolean} savePositions - Remember the cells the new icons got
      */
-    _getAccentColorMap() {
-        return {
-            'blue': { r: 53, g: 132, b: 228 },
-            'teal': { r: 53, g: 185, b: 171 },
-            'green': { r: 87, g: 227, b: 137 },
-            'yellow': { r: 246, g: 211, b: 45 },
-            'orange': { r: 255, g: 163, b: 72 },
-            'red': { r: 237, g: 51, b: 59 },
-            'pink': { r: 245, g: 121, b: 179 },
-            'purple': { r: 192, g: 97, b: 203 },
-            'slate': { r: 119, g: 127, b: 151 },
-        };
+    _addDesktopIcons(fileInfos, savePositions) {
+        if (fileInfos.length === 0) return;
+
+        // Create icons first to know their cell size
+        const icons = fileInfos.map(info => new DesktopIcon(info, this, info.get_name()));
+
+        // Icons with a saved position go first so they keep their cells,
+        // the rest fill the gaps in sort-by order
+        const sorted = this._sortIcons(icons, this._settings.get_string('sort-by'));
+        const saved = sorted.filter(icon => this._iconPositions[icon._fileName]);
+        const unsaved = sorted.filter(icon => !this._iconPositions[icon._fileName]);
+        for (const icon of [...saved, ...unsaved]) {
+            this._placeLoadedIcon(icon);
+        }
+
+        if (savePositions && !this._settings.get_boolean('keep-arranged')) {
+            const positions = {};
+            for (const icon of unsaved.filter(icon => !icon._overflow)) {
+                positions[icon._fileName] = this._getIconCell(icon);
+            }
+            this._saveIconPositions(positions);
+        }
     }
 
     /**
-     * Get system accent color in specified format
-     * @param {string} format - 'rgb', 'rgba', or 'object' (default: 'rgba')
-     * @param {number} alpha - Alpha value for rgba format (default: 0.45)
-     * @returns {string|Object} Color in requested format
+     * Bring the grid in line with the Desktop directory
+     * Icons are added batch by batch for new files, removed for files that are
+     * gone and refreshed when their file changed; every other icon keeps its
+     * widget, cell and selection. Only one pass runs at a time, a request made
+     * meanwhile runs once the current pass is done.
+     * @param {boolean} [savePositions=true] - Remember the cells new icons got
      */
-    _getAccentColor(format = 'rgba', alpha = 0.45) {
+    async _reconcileIcons(savePositions = true) {
+        if (!this._primaryGrid) return;
+
+        if (this._reconciling) {
+            this._reconcilePending = true;
+            return;
+        }
+        this._reconciling = true;
+
+        const cancellable = this._cancellable;
         try {
-            const schemaSource = Gio.SettingsSchemaSource.get_default();
-            const schema = schemaSource.lookup('org.gnome.desktop.interface', true);
+            await this._syncSpecialIcons(cancellable);
 
-            if (schema) {
-                const interfaceSettings = new Gio.Settings({ settings_schema: schema });
-                const accentColorName = interfaceSettings.get_string('accent-color');
-                const colorMap = this._getAccentColorMap();
-                const color = colorMap[accentColorName] || colorMap['blue'];
+            const iconsByName = new Map();
+            for (const icon of this._getIcons()) {
+                if (!icon.isSpecial()) iconsByName.set(icon._fileName, icon);
+            }
 
-                if (format === 'rgb') {
-                    return `rgb(${color.r}, ${color.g}, ${color.b})`;
-                } else if (format === 'rgba') {
-                    return `rgba(${color.r}, ${color.g}, ${color.b}, ${alpha})`;
-                } else if (format === 'object') {
-                    return color;
+            let added = 0;
+            await this._enumerateDesktop(fileInfos => {
+                const newInfos = [];
+                for (const fileInfo of fileInfos) {
+                    const name = fileInfo.get_name();
+                    const icon = iconsByName.get(name);
+                    if (!icon) {
+                        newInfos.push(fileInfo);
+                        continue;
+                    }
+
+                    if (this._hasFileInfoChanged(icon._fileInfo, fileInfo)) {
+                        icon.updateFileInfo(fileInfo, name);
+                    }
+                    iconsByName.delete(name);
                 }
+
+                this._addDesktopIcons(newInfos, savePositions);
+                added += newInfos.length;
+            }, cancellable);
+
+            // Whatever is left has no file anymore
+            for (const icon of iconsByName.values()) {
+                log(`[Obision] File removed: ${icon._fileName}`);
+                this._removeIcon(icon);
+            }
+
+            if (added > 0 && this._settings.get_boolean('keep-arranged')) {
+                this._arrangeIcons();
             }
         } catch (e) {
-            log(`[Obision] Could not get accent color: ${e.message}`);
+            if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                log(`Error loading desktop files: ${e}`);
+            }
+        } finally {
+            this._reconciling = false;
         }
 
-        // Fallback to blue
-        const defaultColor = { r: 53, g: 132, b: 228 };
-        if (format === 'rgb') {
-            return `rgb(${defaultColor.r}, ${defaultColor.g}, ${defaultColor.b})`;
-        } else if (format === 'object') {
-            return defaultColor;
+        if (this._reconcilePending && !cancellable.is_cancelled()) {
+            this._reconcilePending = false;
+            this._reconcileIcons();
         }
-        return `rgba(${defaultColor.r}, ${defaultColor.g}, ${defaultColor.b}, ${alpha})`;
     }
 
-    // ===== Public Notification API =====
+    _hasFileInfoChanged(oldInfo, newInfo) {
+        return (
+            oldInfo.get_attribute_uint64('time::modified') !==
+                newInfo.get_attribute_uint64('time::modified') ||
+            oldInfo.get_file_type() !== newInfo.get_file_type() ||
+            oldInfo.get_content_type() !== newInfo.get_content_type() ||
+            oldInfo.get_display_name() !== newInfo.get_display_name()
+        );
+    }
 
     /**
-     * Send a notification to a desktop icon by filename
-     * @param {string} fileName - The name of the file on the desktop
-     * @param {Object} options - Notification options (message, urgency, duration, pulse)
-     * @returns {boolean} - True if notification was sent
+     * Find the cell an icon should go to: its saved cell, or the first free one
+     * Icons saved on a monitor that is not connected go to the primary grid
+     * @returns {Object|null} {grid, col, row}, or null when every grid is full
      */
-    notifyIcon(fileName, options = {}) {
-        const icon = this._findIconByName(fileName);
-        if (icon) {
-            icon.notify(options);
-            return true;
+    _findCellForIcon(icon) {
+        const name = icon._fileName;
+        const iconCellSize = icon._cellSize || { cols: 1, rows: 1 };
+
+        // Try to get saved position
+        let grid = this._primaryGrid;
+        let targetCol = 0;
+        let targetRow = 0;
+
+        if (this._iconPositions[name]) {
+            const saved = this._iconPositions[name];
+            grid = this._getGridForMonitorId(saved.monitor) ?? this._primaryGrid;
+
+            // Handle both old format (x,y pixels) and new format (col,row)
+            if (saved.col !== undefined && saved.row !== undefined) {
+                // New format: col/row
+                targetCol = saved.col;
+                targetRow = saved.row;
+            } else if (saved.x !== undefined && saved.y !== undefined) {
+                // Old format: x/y pixels - convert to col/row
+                const cellWidth = this._getCellWidth(grid);
+                const cellHeight = this._getCellHeight(grid);
+                targetCol = Math.floor(saved.x / cellWidth);
+                targetRow = Math.floor(saved.y / cellHeight);
+            }
         }
-        log(`Obision Desk: Icon not found for notification: ${fileName}`);
-        return false;
+
+        // Saved position or first available, on the other monitors if this one is full
+        if (grid.areCellsFree(targetCol, targetRow, iconCellSize)) {
+            return { grid, col: targetCol, row: targetRow };
+        }
+        for (const candidate of [grid, ...this._grids.filter(other => other !== grid)]) {
+            const freeCell = candidate.findFreeCell(iconCellSize);
+            if (freeCell) {
+                return { grid: candidate, ...freeCell };
+            }
+        }
+        return null;
     }
 
     /**
-     * Dismiss notification on a specific icon
-     * @param {string} fileName - The name of the file
+     * Add a freshly loaded icon at its saved cell, or the first free one
      */
-    dismissIconNotification(fileName) {
-        const icon = this._findIconByName(fileName);
-        if (icon) {
-            icon.dismissNotification();
+    _placeLoadedIcon(icon) {
+        const name = icon._fileName;
+        const freeCell = this._findCellForIcon(icon);
+
+        if (freeCell) {
+            const { grid, col, row } = freeCell;
+            const cell = grid.getCell(col, row);
+            if (cell) {
+                grid.addIcon(icon, cell.x, cell.y);
+                grid.placeIconInCell(icon, col, row);
+
+                // Icons are created with the primary monitor's cell size
+                if (grid !== this._primaryGrid) {
+                    icon.updateSize();
+                }
+                log(`[Obision] Loaded ${name} at cell (${col}, ${row}) on ${grid.monitorId}`);
+            }
+        } else {
+            this._primaryGrid.addIcon(icon, 0, 0);
+            this._overflowIcon(icon);
         }
     }
 
+    // ===== Overflow =====
+
     /**
-     * Dismiss all active notifications
+     * Deal with an icon that found no free cell, as set by overflow-strategy:
+     * shrink multi-cell tiles, grow the grid, or hide it behind the overflow
+     * tile (also the fallback when shrinking or growing cannot make room)
+     * The icon must already be on a grid.
      */
-    dismissAllNotifications() {
-        for (const icon of this._grid.getIcons()) {
-            if (icon.isNotifying) {
-                icon.dismissNotification();
-            }
-        }
+    _overflowIcon(icon) {
+        const strategy = this._settings.get_string('overflow-strategy');
+        if (strategy === 'shrink' && this._shrinkToFit(icon)) return;
+
+        // Hidden, without cells, until there is room again
+        const grid = this._getIconGrid(icon);
+        grid.removeIconFromCells(icon);
+        icon.deselect();
+        icon._overflow = true;
+        icon.hide();
+        log(`[Obision] No free cell for ${icon._fileName}, overflowing`);
+
+        if (strategy === 'grow' && this._growGrid()) return;
+        grid._updateOverflowTile();
     }
 
     /**
-     * Find an icon by its filename
-     * @param {string} fileName - The filename to search for
-     * @returns {DesktopIcon|null}
+     * Make room by shrinking multi-cell tiles back to 1x1: the icon itself
+     * first, then the largest tiles of its grid
+     * The shrink only lasts for the current layout, the saved sizes are
+     * left alone and come back on the next relayout.
+     * @returns {boolean} true once the icon is placed
      */
-    _findIconByName(fileName) {
-        for (const icon of this._grid.getIcons()) {
-            if (icon.getFileName() === fileName) {
-                return icon;
+    _shrinkToFit(icon) {
+        const grid = this._getIconGrid(icon);
+        const area = other => other._cellSize.cols * other._cellSize.rows;
+        const tiles = grid
+            .getIcons()
+            .filter(other => other !== icon && !other._overflow && area(other) > 1)
+            .sort((a, b) => area(b) - area(a));
+
+        for (const tile of [icon, ...tiles]) {
+            if (area(tile) === 1) continue;
+
+            // Placed tiles keep their top-left cell
+            const cell = tile === icon ? null : this._getIconCell(tile);
+            grid.removeIconFromCells(tile);
+            tile.updateSize(ICON_CELL_SIZES['1x1']);
+            if (cell) {
+                grid._reserveIconCells(tile, cell.col, cell.row);
+            }
+
+            const freeCell = this._findCellForIcon(icon);
+            if (freeCell) {
+                this._moveIconToGrid(icon, freeCell.grid);
+                freeCell.grid.placeIconInCell(icon, freeCell.col, freeCell.row);
+                log(`[Obision] Shrank ${tile._fileName} to make room for ${icon._fileName}`);
+                return true;
             }
         }
-        return null;
+        return false;
     }
 
-    _getDefaultCellSize() {
-        return { cols: 1, rows: 1 };
-    }
+    /**
+     * Add a column or a row, whichever keeps cells closer to square, once
+     * the current layout pass is done
+     * Changing the setting reloads the icons, overflowing ones included.
+     * @returns {boolean} false when the grid is at its largest already
+     */
+    _growGrid() {
+        if (this._growGridId) return true;
+
+        const wider = this._getCellWidth() >= this._getCellHeight();
+        const keys = wider ? ['grid-columns', 'grid-rows'] : ['grid-rows', 'grid-columns'];
+        const key = keys.find(candidate => {
+            const range = this._settings.settings_schema.get_key(candidate).get_range();
+            const [, [, max]] = range.recursiveUnpack();
+            return this._settings.get_int(candidate) < max;
+        });
+        if (!key) return false;
 
-    // Cell-based size methods
-    _getIconCellSize(fileName) {
-        const customSize = this._getCustomIconCellSize(fileName);
-        if (customSize) {
-            return ICON_CELL_SIZES[customSize] || { cols: 1, rows: 1 };
-        }
-        return this._getDefaultCellSize(); // Use default from settings
+        this._growGridId = GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+            this._growGridId = null;
+            const value = this._settings.get_int(key) + 1;
+            log(`[Obision] Growing ${key} to ${value} to fit every icon`);
+            this._settings.set_int(key, value);
+            return GLib.SOURCE_REMOVE;
+        });
+        return true;
     }
 
-    _getCustomIconCellSize(fileName) {
-        try {
-            const json = this._settings.get_string('custom-icon-sizes');
-            const customSizes = JSON.parse(json) || {};
-            return customSizes[fileName] || null;
-        } catch (e) {
-            return null;
-        }
-    }
+    /**
+     * Give overflowing icons the cells that freed up
+     */
+    _placeOverflowIcons() {
+        const hidden = this._getIcons().filter(icon => icon._overflow);
+        if (hidden.length === 0) return;
 
-    _setCustomIconCellSize(fileName, cellSizeKey) {
-        try {
-            const json = this._settings.get_string('custom-icon-sizes');
-            const customSizes = JSON.parse(json) || {};
-            customSizes[fileName] = cellSizeKey;
-            this._settings.set_string('custom-icon-sizes', JSON.stringify(customSizes));
-        } catch (e) {
-            log(`Error saving custom icon cell size: ${e}`);
+        for (const grid of this._grids) {
+            grid._removeOverflowTile();
+        }
+        for (const icon of hidden) {
+            const freeCell = this._findCellForIcon(icon);
+            if (freeCell) {
+                this._moveIconToGrid(icon, freeCell.grid);
+                freeCell.grid.placeIconInCell(icon, freeCell.col, freeCell.row);
+            }
+        }
+        for (const grid of this._grids) {
+            grid._updateOverflowTile();
         }
     }
 
-    _removeCustomIconCellSize(fileName) {
-        try {
-            const json = this._settings.get_string('custom-icon-sizes');
-            const customSizes = JSON.parse(json) || {};
-            delete customSizes[fileName];
-            this._settings.set_string('custom-icon-sizes', JSON.stringify(customSizes));
-        } catch (e) {
-            log(`Error removing custom icon cell size: ${e}`);
+    // ===== Thumbnails =====
+
+    /**
+     * Queue thumbnail generation for an icon
+     * Each file is tried once per size and modification time, so failures
+     * and thumbnailers that produce nothing are not retried in a loop.
+     * Icons request their thumbnail while being built, so the queue is only
+     * processed once the icon has been placed on a grid.
+     */
+    _requestThumbnail(icon, thumbnailSize) {
+        if (!GnomeDesktop || !this._cancellable) return;
+
+        const file = icon.getFile();
+        if (!file) return;
+
+        const mtime = icon._fileInfo.get_attribute_uint64('time::modified');
+        const key = `${file.get_uri()}:${mtime}:${thumbnailSize.name}`;
+        if (this._thumbnailRequests.has(key)) return;
+        if (this._thumbnailQueue.some(request => request.key === key)) return;
+
+        this._thumbnailQueue.push({ icon, thumbnailSize, key });
+        if (!this._generatingThumbnails && !this._thumbnailIdleId) {
+            this._thumbnailIdleId = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+                this._thumbnailIdleId = null;
+                this._processThumbnailQueue();
+                return GLib.SOURCE_REMOVE;
+            });
         }
     }
 
-    // ===== Elevation Methods =====
+    async _processThumbnailQueue() {
+        this._generatingThumbnails = true;
+        const cancellable = this._cancellable;
 
-    _getIconElevation(fileName) {
-        try {
-            const json = this._settings.get_string('icon-elevations');
-            const elevations = JSON.parse(json) || {};
-            if (elevations[fileName] !== undefined) {
-                return elevations[fileName];
+        while (this._thumbnailQueue.length > 0 && !cancellable.is_cancelled()) {
+            const { icon, thumbnailSize, key } = this._thumbnailQueue.shift();
+
+            // Skip icons removed while waiting, they can ask again if recreated
+            if (!this._getIcons().includes(icon)) continue;
+            if (this._thumbnailRequests.has(key)) continue;
+            this._thumbnailRequests.add(key);
+
+            try {
+                await this._generateThumbnail(icon, thumbnailSize, cancellable);
+            } catch (e) {
+                if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                    log(`[Obision] Error generating thumbnail for ${icon._fileName}: ${e}`);
+                }
             }
-            // Return default elevation
-            return this._settings.get_int('default-elevation');
-        } catch (e) {
-            return 0;
         }
+
+        this._generatingThumbnails = false;
     }
 
-    _setIconElevation(fileName, level) {
-        try {
-            const json = this._settings.get_string('icon-elevations');
-            const elevations = JSON.parse(json) || {};
-            if (level === this._settings.get_int('default-elevation')) {
-                // If setting to default, remove custom setting
-                delete elevations[fileName];
-            } else {
-                elevations[fileName] = level;
-            }
-            this._settings.set_string('icon-elevations', JSON.stringify(elevations));
-        } catch (e) {
-            log(`Error saving icon elevation: ${e}`);
+    async _generateThumbnail(icon, thumbnailSize, cancellable) {
+        const file = icon.getFile();
+        const uri = file.get_uri();
+        const mimeType = icon._fileInfo.get_content_type();
+        const mtime = icon._fileInfo.get_attribute_uint64('time::modified');
+
+        let factory = this._thumbnailFactories[thumbnailSize.name];
+        if (!factory) {
+            factory = GnomeDesktop.DesktopThumbnailFactory.new(
+                GnomeDesktop.DesktopThumbnailSize[thumbnailSize.name]
+            );
+            this._thumbnailFactories[thumbnailSize.name] = factory;
         }
-    }
 
-    // ===== Background Methods =====
+        if (!factory.can_thumbnail(uri, mimeType, mtime)) return;
+        if (factory.has_valid_failed_thumbnail(uri, mtime)) return;
 
-    _getIconBackground(fileName) {
         try {
-            const json = this._settings.get_string('icon-backgrounds');
-            const backgrounds = JSON.parse(json) || {};
-            if (backgrounds[fileName]) {
-                return backgrounds[fileName];
-            }
-            // Return default background
-            return this._settings.get_string('default-background');
+            const pixbuf = await factory.generate_thumbnail_async(uri, mimeType, cancellable);
+            await factory.save_thumbnail_async(pixbuf, uri, mtime, cancellable);
         } catch (e) {
-            return 'none';
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) throw e;
+
+            // Remember the failure so other thumbnail users skip this file too
+            log(`[Obision] No thumbnail for ${icon._fileName}: ${e.message}`);
+            await factory.create_failed_thumbnail_async(uri, mtime, cancellable);
+            return;
         }
-    }
 
-    _setIconBackground(fileName, style) {
-        try {
-            const json = this._settings.get_string('icon-backgrounds');
-            const backgrounds = JSON.parse(json) || {};
-            const defaultBg = this._settings.get_string('default-background');
-            if (style === defaultBg) {
-                // If setting to default, remove custom setting
-                delete backgrounds[fileName];
-            } else {
-                backgrounds[fileName] = style;
-            }
-            this._settings.set_string('icon-backgrounds', JSON.stringify(backgrounds));
-        } catch (e) {
-            log(`Error saving icon background: ${e}`);
+        // Re-read the file info so the icon picks the new thumbnail up
+        const fileInfo = await this._queryFileInfo(file, cancellable);
+        if (this._getIcons().includes(icon)) {
+            icon.updateFileInfo(fileInfo, icon._fileName);
         }
     }
 
-    _getDesktopPath() {
-        // Try XDG user dir first
-        const desktopPath = GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_DESKTOP);
-        if (desktopPath) {
-            return desktopPath;
-        }
-        // Fallback to ~/Desktop
-        return GLib.build_filenamev([GLib.get_home_dir(), 'Desktop']);
+    // ===== Sorting =====
+
+    /**
+     * Sort icons by a sort-by key
+     * Home and Trash always come first, then folders, then files
+     * @param {DesktopIcon[]} icons - Icons to sort (not modified)
+     * @param {string} sortBy - name, modified, size or type
+     * @returns {DesktopIcon[]} Sorted copy
+     */
+    _sortIcons(icons, sortBy) {
+        const rank = icon => {
+            const info = icon._fileInfo;
+            if (info.get_attribute_boolean('special::is-home')) return 0;
+            if (info.get_attribute_boolean('special::is-trash')) return 1;
+            return info.get_file_type() === Gio.FileType.DIRECTORY ? 2 : 3;
+        };
+        const byName = (a, b) => GLib.utf8_collate(a.getDisplayName(), b.getDisplayName());
+
+        const compare = (a, b) => {
+            const infoA = a._fileInfo;
+            const infoB = b._fileInfo;
+            switch (sortBy) {
+                case 'modified':
+                    // Newest first
+                    return (
+                        infoB.get_attribute_uint64('time::modified') -
+                        infoA.get_attribute_uint64('time::modified')
+                    );
+                case 'size':
+                    // Largest first
+                    return infoB.get_size() - infoA.get_size();
+                case 'type':
+                    return GLib.utf8_collate(
+                        infoA.get_content_type() || '',
+                        infoB.get_content_type() || ''
+                    );
+                default:
+                    return 0;
+            }
+        };
+
+        return [...icons].sort((a, b) => rank(a) - rank(b) || compare(a, b) || byName(a, b));
     }
 
-    _loadIconPositions() {
-        try {
-            const json = this._settings.get_string('icon-positions');
-            this._iconPositions = JSON.parse(json) || {};
-        } catch (e) {
-            this._iconPositions = {};
+    /**
+     * Change the sort-by key and re-flow the desktop with it
+     */
+    _arrangeBy(sortBy) {
+        const before = this._snapshotLayout(this._getIcons());
+        const changed = this._settings.get_string('sort-by') !== sortBy;
+        this._settings.set_string('sort-by', sortBy);
+
+        // With keep-arranged on, the settings handler re-flows on the change itself
+        if (!changed || !this._settings.get_boolean('keep-arranged')) {
+            this._arrangeIcons();
         }
+
+        // Redo arranges again with the sort-by key in effect then
+        this._pushUndo(
+            'Arrange',
+            () => this._restoreLayout(before),
+            () => this._arrangeIcons()
+        );
     }
 
-    // ===== Global Drag System =====
-    // Single stage listener handles all icon dragging
+    /**
+     * Re-flow the icons of each grid in sort-by order
+     * Icons stay on their monitor, multi-cell footprints are kept, and the
+     * new positions are saved
+     */
+    _arrangeIcons() {
+        const sortBy = this._settings.get_string('sort-by');
+        const positions = {};
 
-    _setupGlobalDragHandler() {
-        this._dragIcon = null;
-        this._dragStartX = 0;
-        this._dragStartY = 0;
-        this._iconStartX = 0;
-        this._iconStartY = 0;
-        this._isDragging = false;
-        this._dragOriginalX = 0;
-        this._dragOriginalY = 0;
+        for (const grid of this._grids) {
+            const icons = this._sortIcons(grid.getIcons(), sortBy);
 
-        this._stageEventId = global.stage.connect('captured-event',
-            this._onGlobalCapturedEvent.bind(this));
+            // Start from an empty cell grid
+            grid._buildCellGrid();
+
+            for (const icon of icons) {
+                const freeCell = grid.findFreeCell(icon._cellSize || { cols: 1, rows: 1 });
+                if (!freeCell) {
+                    this._overflowIcon(icon);
+                    continue;
+                }
+
+                grid._reserveIconCells(icon, freeCell.col, freeCell.row);
+                positions[icon._fileName] = {
+                    col: freeCell.col,
+                    row: freeCell.row,
+                    monitor: grid.monitorId,
+                };
+
+                const cell = grid.getCell(freeCell.col, freeCell.row);
+                icon.ease({
+                    x: cell.x,
+                    y: cell.y,
+                    duration: 150,
+                    mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+                });
+            }
+        }
+
+        this._saveIconPositions(positions);
+        this._onIconsMoved(positions);
     }
 
-    _cleanupGlobalDragHandler() {
-        if (this._stageEventId) {
-            global.stage.disconnect(this._stageEventId);
-            this._stageEventId = null;
-        }
-        this._dragIcon = null;
+    /**
+     * Queue a file monitor event; bursts of events are handled together
+     */
+    _queueFileEvent(eventType, file, otherFile) {
+        this._pendingFileEvents.push({ eventType, file, otherFile });
+
+        if (this._fileEventsTimeoutId) return;
+
+        this._fileEventsTimeoutId = GLib.timeout_add(
+            GLib.PRIORITY_DEFAULT,
+            FILE_EVENTS_DELAY,
+            () => {
+                this._fileEventsTimeoutId = null;
+                this._flushFileEvents();
+                return GLib.SOURCE_REMOVE;
+            }
+        );
     }
 
-    _startIconDrag(icon, stageX, stageY) {
-        // Cancel any previous drag
-        this._cancelDrag();
+    async _flushFileEvents() {
+        const events = this._pendingFileEvents;
+        this._pendingFileEvents = [];
+        if (!this._primaryGrid) return;
 
-        this._dragIcon = icon;
-        this._dragStartX = stageX;
-        this._dragStartY = stageY;
-        this._iconStartX = icon.x;
-        this._iconStartY = icon.y;
-        this._isDragging = false;
+        // Renames first, in order, so icons keep their cells
+        let needsReconcile = false;
+        for (const { eventType, file, otherFile } of events) {
+            if (eventType === Gio.FileMonitorEvent.RENAMED) {
+                await this._onFileRenamed(file, otherFile);
+            } else {
+                needsReconcile = true;
+            }
+        }
 
-        // Calculate offset from click point to icon's top-left corner
-        // This ensures the icon follows the mouse from where it was clicked
-        const [gridX, gridY] = this._grid?.get_transformed_position() || [0, 0];
-        this._dragOffsetX = stageX - gridX - icon.x;
-        this._dragOffsetY = stageY - gridY - icon.y;
+        // Everything else is settled by one diff against the directory;
+        // a pass already running may have read the old names, so queue another
+        if (needsReconcile || this._reconciling) {
+            this._reconcileIcons();
+        }
     }
 
-    _onGlobalCapturedEvent(actor, event) {
-        // No icon being tracked
-        if (!this._dragIcon) {
-            return Clutter.EVENT_PROPAGATE;
+    _setupFileMonitor() {
+        const desktopPath = this._getDesktopPath();
+        const desktopDir = Gio.File.new_for_path(desktopPath);
+
+        if (!desktopDir.query_exists(null)) {
+            return;
         }
 
-        // Safety check - verify icon is still valid
         try {
-            if (!this._dragIcon.get_parent()) {
-                this._dragIcon = null;
-                return Clutter.EVENT_PROPAGATE;
-            }
+            this._fileMonitor = desktopDir.monitor_directory(
+                Gio.FileMonitorFlags.WATCH_MOVES,
+                null
+            );
+
+            this._fileMonitor.connect('changed', (monitor, file, otherFile, eventType) => {
+                // Log the event for debugging
+                const eventNames = {
+                    [Gio.FileMonitorEvent.CREATED]: 'CREATED',
+                    [Gio.FileMonitorEvent.DELETED]: 'DELETED',
+                    [Gio.FileMonitorEvent.MOVED_IN]: 'MOVED_IN',
+                    [Gio.FileMonitorEvent.MOVED_OUT]: 'MOVED_OUT',
+                    [Gio.FileMonitorEvent.RENAMED]: 'RENAMED',
+                };
+                log(`[Obision] FileMonitor event: ${eventNames[eventType] || eventType} for ${file.get_basename()}`);
+
+                if (
+                    eventType === Gio.FileMonitorEvent.CREATED ||
+                    eventType === Gio.FileMonitorEvent.DELETED ||
+                    eventType === Gio.FileMonitorEvent.MOVED_IN ||
+                    eventType === Gio.FileMonitorEvent.MOVED_OUT ||
+                    eventType === Gio.FileMonitorEvent.RENAMED ||
+                    eventType === Gio.FileMonitorEvent.CHANGES_DONE_HINT ||
+                    eventType === Gio.FileMonitorEvent.ATTRIBUTE_CHANGED
+                ) {
+                    this._queueFileEvent(eventType, file, otherFile);
+                }
+            });
         } catch (e) {
-            this._dragIcon = null;
-            return Clutter.EVENT_PROPAGATE;
+            log(`Error setting up file monitor: ${e}`);
         }
+    }
 
-        const type = event.type();
+    /**
+     * Handle a rename inside the Desktop directory
+     * The icon keeps its widget and cell, and its settings follow the new name
+     */
+    async _onFileRenamed(oldFile, newFile) {
+        if (!this._primaryGrid || !newFile) return;
 
-        if (type === Clutter.EventType.MOTION) {
-            // Check if mouse button is still pressed
-            const state = event.get_state();
-            const buttonPressed = (state & Clutter.ModifierType.BUTTON1_MASK) !== 0;
+        const oldName = oldFile.get_basename();
+        const newName = newFile.get_basename();
 
-            if (!buttonPressed) {
-                // Button was released but we missed the event
-                this._endDrag();
-                return Clutter.EVENT_PROPAGATE;
-            }
+        // Settings entries follow the file (no-op if we did the rename ourselves)
+        this._migrateIconMetadata(oldName, newName);
 
-            const [stageX, stageY] = event.get_coords();
-            const dx = stageX - this._dragStartX;
-            const dy = stageY - this._dragStartY;
+        // Our own inline rename has already updated the icon
+        const renamedIcon = this._findIconByName(oldName);
+        const existingIcon = this._findIconByName(newName);
 
-            // Start actual drag if moved more than 3 pixels
-            if (!this._isDragging && (Math.abs(dx) > 3 || Math.abs(dy) > 3)) {
-                this._isDragging = true;
-                this._dragIcon._dragging = true;
-                this._dragIcon.add_style_class_name('dragging');
+        // Renamed over another desktop item, which is gone now
+        if (renamedIcon && existingIcon) {
+            this._removeIcon(existingIcon);
+        }
+        const icon = renamedIcon || existingIcon;
 
-                // Save original position for rollback
-                this._dragOriginalX = this._dragIcon.x;
-                this._dragOriginalY = this._dragIcon.y;
+        // Renamed to a hidden name - treat as removal
+        if (newName.startsWith('.')) {
+            if (icon) {
+                this._removeIcon(icon);
+            }
+            return;
+        }
 
-                // Create drop indicator
-                this._createDropIndicator();
+        if (!icon) {
+            // Renamed from a hidden name - nothing to update, load it like a new file
+            this._reconcileIcons();
+            return;
+        }
 
-                // Reset to eliminate jump
-                this._dragStartX = stageX;
-                this._dragStartY = stageY;
-                this._iconStartX = this._dragIcon.x;
-                this._iconStartY = this._dragIcon.y;
-            }
+        try {
+            const fileInfo = await this._queryFileInfo(newFile, this._cancellable);
 
-            if (this._isDragging) {
-                // Check if mouse hit screen edge - cancel and return
-                const monitor = Main.layoutManager.primaryMonitor;
-                if (stageX <= 0 || stageX >= monitor.width - 1 ||
-                    stageY <= 0 || stageY >= monitor.height - 1) {
-                    this._cancelDrag();
-                    return Clutter.EVENT_STOP;
-                }
+            // The icon may have gone while the file was queried
+            if (!this._getIcons().includes(icon)) return;
 
-                // Update drop indicator position instead of moving the icon
-                this._updateDropIndicator(stageX, stageY);
-                return Clutter.EVENT_STOP;
-            }
-        } else if (type === Clutter.EventType.BUTTON_RELEASE) {
-            if (this._dragIcon) {
-                const wasDragging = this._isDragging;
-                this._endDrag();
-                return wasDragging ? Clutter.EVENT_STOP : Clutter.EVENT_PROPAGATE;
+            icon.updateFileInfo(fileInfo, newName);
+            log(`[Obision] Renamed icon ${oldName} to ${newName} in place`);
+        } catch (e) {
+            if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                log(`[Obision] Error updating renamed icon: ${e}`);
             }
         }
-
-        return Clutter.EVENT_PROPAGATE;
     }
 
-    _cancelDrag() {
-        if (!this._dragIcon) return;
+    // ===== Selection =====
 
-        const icon = this._dragIcon;
-        const wasDragging = this._isDragging;
+    _deselectAll() {
+        for (const icon of this._getIcons()) {
+            icon.deselect();
+        }
+        this._selectionAnchor = null;
+    }
 
-        // Reset state
-        this._dragIcon = null;
-        this._isDragging = false;
+    _getSelectedIcons() {
+        return this._getIcons().filter(icon => icon.isSelected());
+    }
 
-        // Destroy drop indicator
-        this._destroyDropIndicator();
+    /**
+     * Replace the selection with a single icon
+     */
+    _selectOnly(icon) {
+        this._deselectAll();
+        icon.select();
+        this._selectionAnchor = icon;
+    }
 
-        if (wasDragging) {
-            icon._dragging = false;
-            icon.remove_style_class_name('dragging');
+    /**
+     * Add or remove an icon from the selection (Ctrl-click)
+     */
+    _toggleSelection(icon) {
+        if (icon.isSelected()) {
+            icon.deselect();
+        } else {
+            icon.select();
+            this._selectionAnchor = icon;
         }
     }
 
-    _endDrag() {
-        if (!this._dragIcon) return;
-
-        const icon = this._dragIcon;
-        const wasDragging = this._isDragging;
+    /**
+     * Select every icon inside the rectangle of cells spanned by the
+     * selection anchor and the given icon (Shift-click), on their monitor
+     */
+    _selectRange(icon) {
+        const anchor = this._selectionAnchor;
+        const grid = icon._desktopGrid;
+        if (!anchor || !this._getIcons().includes(anchor) || anchor._desktopGrid !== grid) {
+            this._selectOnly(icon);
+            return;
+        }
 
-        // Get target cell from drop indicator before destroying it
-        const targetCol = this._dropTargetCol;
-        const targetRow = this._dropTargetRow;
-        const canDrop = this._canDrop;
+        const from = this._getIconCell(anchor);
+        const to = this._getIconCell(icon);
+        const minCol = Math.min(from.col, to.col);
+        const minRow = Math.min(from.row, to.row);
+        const maxCol = Math.max(from.col + anchor._cellSize.cols, to.col + icon._cellSize.cols);
+        const maxRow = Math.max(from.row + anchor._cellSize.rows, to.row + icon._cellSize.rows);
+
+        for (const other of this._getIcons()) {
+            const cell = this._getIconCell(other);
+            const intersects =
+                other._desktopGrid === grid &&
+                !other._overflow &&
+                cell.col < maxCol &&
+                cell.col + other._cellSize.cols > minCol &&
+                cell.row < maxRow &&
+                cell.row + other._cellSize.rows > minRow;
+
+            if (intersects) {
+                other.select();
+            } else {
+                other.deselect();
+            }
+        }
+    }
 
-        // Reset state first
-        this._dragIcon = null;
-        this._isDragging = false;
+    // ===== Keyboard Navigation =====
 
-        // Destroy drop indicator
-        this._destroyDropIndicator();
+    /**
+     * Give keyboard focus to the desktop: the first selected icon, else the
+     * first icon in grid order, else the empty grid
+     */
+    _focusDesktop() {
+        if (!this._primaryGrid) return;
+
+        const icons = this._getIconsInGridOrder();
+        const target = icons.find(icon => icon.isSelected()) || icons[0];
+        if (target) {
+            if (!target.isSelected()) {
+                this._selectOnly(target);
+            }
+            target.grab_key_focus();
+        } else {
+            this._primaryGrid.grab_key_focus();
+        }
+    }
 
-        if (wasDragging) {
-            icon._dragging = false;
-            icon.remove_style_class_name('dragging');
+    /**
+     * Move keyboard focus from an icon to its neighbour in a direction
+     * @param {string} mode - 'replace' selects the target only, 'extend' selects
+     *   the range from the anchor, 'keep' leaves the selection untouched
+     */
+    _moveKeyFocus(icon, dCol, dRow, mode) {
+        const target = this._findIconInDirection(icon, dCol, dRow);
+        if (!target) return;
+
+        if (mode === 'replace') {
+            this._selectOnly(target);
+        } else if (mode === 'extend') {
+            this._selectRange(target);
+        }
+        target.grab_key_focus();
+    }
 
-            if (!this._cells) return;
+    /**
+     * Find the nearest icon in a direction using the cell matrix
+     * Icons level with the current one win over closer icons further off-axis,
+     * and cells covered by the current (multi-cell) icon are skipped
+     */
+    _findIconInDirection(icon, dCol, dRow) {
+        const grid = this._getIconGrid(icon);
+        if (!grid?._cells) return null;
 
-            // If we have a valid drop target, use it
-            if (canDrop && targetCol !== undefined && targetRow !== undefined) {
-                // Remove icon from old cells
-                this.removeIconFromCells(icon);
+        const origin = this._getIconCell(icon);
+        const size = icon._cellSize || { cols: 1, rows: 1 };
+        const columns = this._settings.get_int('grid-columns');
+        const rows = this._settings.get_int('grid-rows');
+        const horizontal = dCol !== 0;
 
-                const cell = this.getCell(targetCol, targetRow);
-                if (cell) {
-                    // Animate to cell position
-                    icon.ease({
-                        x: cell.x,
-                        y: cell.y,
-                        duration: 150,
-                        mode: Clutter.AnimationMode.EASE_OUT_QUAD,
-                        onComplete: () => {
-                            // Mark cells as occupied
-                            this.placeIconInCell(icon, targetCol, targetRow);
-                            // Save using col/row
-                            this._saveIconPosition(icon._fileName, targetCol, targetRow);
-                        }
-                    });
-                    return;
+        // Main axis: start just past the icon's footprint
+        const step = horizontal ? dCol : dRow;
+        let start;
+        if (horizontal) {
+            start = step > 0 ? origin.col + size.cols : origin.col - 1;
+        } else {
+            start = step > 0 ? origin.row + size.rows : origin.row - 1;
+        }
+        const mainLimit = horizontal ? columns : rows;
+
+        // Cross axis: the band the icon covers, widened one cell at a time
+        const bandStart = horizontal ? origin.row : origin.col;
+        const bandEnd = bandStart + (horizontal ? size.rows : size.cols) - 1;
+        const crossLimit = horizontal ? rows : columns;
+
+        for (let spread = 0; spread < crossLimit; spread++) {
+            for (let main = start; main >= 0 && main < mainLimit; main += step) {
+                for (let cross = bandStart - spread; cross <= bandEnd + spread; cross++) {
+                    // Only look at the cells added by this spread
+                    if (spread > 0 && cross > bandStart - spread && cross < bandEnd + spread) {
+                        continue;
+                    }
+                    const cell = horizontal ? grid.getCell(main, cross) : grid.getCell(cross, main);
+                    if (cell?.icon && cell.icon !== icon && cell.icon !== grid._overflowTile) {
+                        return cell.icon;
+                    }
                 }
             }
+        }
+        return null;
+    }
+
+    /**
+     * Icons sorted monitor by monitor, then top-to-bottom, left-to-right by their cell
+     */
+    _getIconsInGridOrder() {
+        return this._grids.flatMap(grid => {
+            const icons = grid.getIcons().filter(icon => !icon._overflow);
+            return icons.sort((a, b) => {
+                const cellA = this._getIconCell(a);
+                const cellB = this._getIconCell(b);
+                return cellA.row - cellB.row || cellA.col - cellB.col;
+            });
+        });
+    }
 
-            // No valid drop, icon stays in place (original position)
-            // Re-place in original cell
-            const origCell = this.getCellAtPixel(this._dragOriginalX, this._dragOriginalY);
-            if (origCell) {
-                this.placeIconInCell(icon, origCell.col, origCell.row);
+    /**
+     * Jump to the first icon whose label starts with the typed text
+     */
+    _typeAhead(character) {
+        if (this._typeAheadTimeoutId) {
+            GLib.source_remove(this._typeAheadTimeoutId);
+        }
+        this._typeAheadString = (this._typeAheadString || '') + character.toLowerCase();
+        this._typeAheadTimeoutId = GLib.timeout_add(
+            GLib.PRIORITY_DEFAULT,
+            TYPE_AHEAD_TIMEOUT,
+            () => {
+                this._typeAheadString = '';
+                this._typeAheadTimeoutId = null;
+                return GLib.SOURCE_REMOVE;
             }
-        } else {
-            // Was not a drag, just a click - select the icon
-            icon._select();
+        );
+
+        const match = this._getIconsInGridOrder().find(icon =>
+            icon.getDisplayName().toLowerCase().startsWith(this._typeAheadString)
+        );
+        if (match) {
+            this._selectOnly(match);
+            match.grab_key_focus();
         }
     }
 
-    _createDropIndicator() {
-        if (this._dropIndicator) {
-            this._dropIndicator.destroy();
+    /**
+     * Get the top-left cell an icon is placed in, and the monitor of its grid
+     */
+    _getIconCell(icon) {
+        const grid = this._getIconGrid(icon);
+        return {
+            col: Math.round(icon.x / this._getCellWidth(grid)),
+            row: Math.round(icon.y / this._getCellHeight(grid)),
+            monitor: grid?.monitorId,
+        };
+    }
+
+    // ===== Trash =====
+
+    /**
+     * Watch the Trash so its icon and menu follow it
+     */
+    _setupTrashMonitor() {
+        try {
+            this._trashMonitor = Gio.File.new_for_uri('trash:///').monitor_directory(
+                Gio.FileMonitorFlags.NONE,
+                null
+            );
+            this._trashMonitor.connect('changed', () => {
+                if (this._trashRefreshId) return;
+
+                this._trashRefreshId = GLib.timeout_add(
+                    GLib.PRIORITY_DEFAULT,
+                    FILE_EVENTS_DELAY,
+                    () => {
+                        this._trashRefreshId = null;
+                        this._refreshTrash();
+                        return GLib.SOURCE_REMOVE;
+                    }
+                );
+            });
+        } catch (e) {
+            log(`Error setting up trash monitor: ${e}`);
         }
+        this._refreshTrash();
+    }
 
-        this._dropIndicator = new St.Widget({
-            style_class: 'drop-indicator',
-            reactive: false,
-        });
+    /**
+     * Re-read the Trash: item count and most recently trashed items
+     */
+    async _refreshTrash() {
+        const serial = ++this._trashRefreshSerial;
+        const items = [];
 
-        this._grid.add_child(this._dropIndicator);
-        this._dropIndicator.hide();
-        this._canDrop = false;
+        try {
+            const trash = Gio.File.new_for_uri('trash:///');
+            const enumerator = await trash.enumerate_children_async(
+                'standard::name,standard::display-name,standard::icon,trash::orig-path,trash::deletion-date',
+                Gio.FileQueryInfoFlags.NONE,
+                GLib.PRIORITY_DEFAULT,
+                this._cancellable
+            );
+            try {
+                let infos;
+                do {
+                    infos = await enumerator.next_files_async(
+                        ENUMERATE_BATCH_SIZE,
+                        GLib.PRIORITY_DEFAULT,
+                        this._cancellable
+                    );
+                    for (const info of infos) {
+                        items.push({
+                            file: enumerator.get_child(info),
+                            displayName: info.get_display_name(),
+                            gicon: info.get_icon(),
+                            origPath: info.get_attribute_byte_string('trash::orig-path'),
+                            deleted: info.get_deletion_date()?.to_unix() ?? 0,
+                        });
+                    }
+                } while (infos.length > 0);
+            } finally {
+                await enumerator.close_async(GLib.PRIORITY_DEFAULT, null);
+            }
+        } catch (e) {
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) return;
+            log(`Error reading trash: ${e}`);
+            return;
+        }
+
+        // A newer read started while this one was in flight
+        if (serial !== this._trashRefreshSerial) return;
+
+        items.sort((a, b) => b.deleted - a.deleted);
+        const wasEmpty = this._trashContents.count === 0;
+        this._trashContents = {
+            count: items.length,
+            recent: items.slice(0, TRASH_RECENT_LIMIT),
+        };
+
+        // Switch between the empty and full icon
+        if (wasEmpty !== (items.length === 0)) {
+            this._findIconByName('___TRASH___')?.refreshIcon();
+        }
     }
 
-    _updateDropIndicator(stageX, stageY) {
-        if (!this._dropIndicator || !this._dragIcon) return;
+    /**
+     * Move one item out of the Trash to where it was trashed from
+     * @param {object} item - An entry of the Trash contents
+     */
+    async _restoreTrashItem(item) {
+        const { results } = await this._fileOperations.move([
+            [item.file, Gio.File.new_for_path(item.origPath)],
+        ]);
+        const [restored] = results;
+        if (!restored) return;
+
+        const [, target] = restored;
+        this._pushUndo(
+            'Restore',
+            () => this._trashFiles([target]),
+            () => this._restoreFromTrash([target])
+        );
+    }
 
-        const cellWidth = this._getCellWidth();
-        const cellHeight = this._getCellHeight();
-        const iconCols = this._dragIcon._cellSize?.cols || 1;
-        const iconRows = this._dragIcon._cellSize?.rows || 1;
+    /**
+     * Permanently delete everything in the Trash
+     */
+    async _emptyTrash() {
+        let items;
+        try {
+            const trash = Gio.File.new_for_uri('trash:///');
+            items = await this._fileOperations.listChildren(trash, this._cancellable);
+        } catch (e) {
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) return;
+            log(`Error reading trash: ${e}`);
+            this._primaryGrid?._showAlertDialog('Could Not Empty the Trash', e.message);
+            return;
+        }
 
-        // Convert stage coordinates to grid coordinates
-        // Account for the offset where the user clicked within the icon
-        const [gridX, gridY] = this._grid.get_transformed_position();
-        const relX = stageX - gridX - (this._dragOffsetX || 0);
-        const relY = stageY - gridY - (this._dragOffsetY || 0);
+        // The trash backend deletes trashed folders with their contents
+        await this._fileOperations.delete(items, 'Emptying Trash', false);
+    }
 
-        // Calculate target cell (top-left of where icon would go)
-        const targetCol = Math.floor(relX / cellWidth);
-        const targetRow = Math.floor(relY / cellHeight);
+    // ===== Templates =====
 
-        // Check if the icon fits in this position
-        const canFit = this._canIconFitAt(targetCol, targetRow, iconCols, iconRows, this._dragIcon);
+    /**
+     * The user's Templates directory, or null when there is none
+     * XDG falls back to the home directory when it is not configured.
+     */
+    _getTemplatesDir() {
+        const path = GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_TEMPLATES);
+        if (!path || path === GLib.get_home_dir()) return null;
+        return Gio.File.new_for_path(path);
+    }
+
+    /**
+     * Read the Templates tree and watch every folder in it
+     */
+    async _loadTemplates() {
+        const serial = ++this._templatesSerial;
+        const templatesDir = this._getTemplatesDir();
+        const folders = [];
 
-        if (canFit) {
-            // Show indicator at target cells
-            const x = targetCol * cellWidth;
-            const y = targetRow * cellHeight;
-            const width = cellWidth * iconCols;
-            const height = cellHeight * iconRows;
+        let templates = [];
+        if (templatesDir) {
+            try {
+                templates = await this._readTemplateFolder(templatesDir, folders);
+            } catch (e) {
+                if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) return;
+                if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                    log(`Error reading templates: ${e}`);
+                }
+            }
+        }
 
-            this._dropIndicator.set_position(x, y);
-            this._dropIndicator.set_size(width, height);
-            this._dropIndicator.show();
+        // A newer scan started while this one was in flight
+        if (serial !== this._templatesSerial) return;
+        this._templates = templates;
 
-            this._dropTargetCol = targetCol;
-            this._dropTargetRow = targetRow;
-            this._canDrop = true;
-        } else {
-            // Hide indicator - can't drop here
-            this._dropIndicator.hide();
-            this._canDrop = false;
+        this._clearTemplateMonitors();
+        for (const folder of folders) {
+            try {
+                const monitor = folder.monitor_directory(Gio.FileMonitorFlags.WATCH_MOVES, null);
+                monitor.connect('changed', () => this._queueTemplatesRefresh());
+                this._templateMonitors.push(monitor);
+            } catch (e) {
+                log(`Error watching templates: ${e}`);
+            }
         }
     }
 
-    _canIconFitAt(col, row, cols, rows, draggedIcon) {
-        // Check bounds
-        const gridCols = this._settings.get_int('grid-columns');
-        const gridRows = this._settings.get_int('grid-rows');
-
-        if (col < 0 || row < 0 || col + cols > gridCols || row + rows > gridRows) {
-            return false;
+    /**
+     * Template entries of a folder: { name, label, file, gicon } per file
+     * and { label, children } per non-empty subfolder, sorted by label
+     * @param {Gio.File[]} folders - Collects every folder read, for watching
+     */
+    async _readTemplateFolder(folder, folders) {
+        folders.push(folder);
+        const infos = [];
+
+        const enumerator = await folder.enumerate_children_async(
+            'standard::name,standard::display-name,standard::type,standard::icon,' +
+                'standard::is-hidden,standard::is-backup',
+            Gio.FileQueryInfoFlags.NONE,
+            GLib.PRIORITY_DEFAULT,
+            this._cancellable
+        );
+        try {
+            let batch;
+            do {
+                batch = await enumerator.next_files_async(
+                    ENUMERATE_BATCH_SIZE,
+                    GLib.PRIORITY_DEFAULT,
+                    this._cancellable
+                );
+                infos.push(...batch);
+            } while (batch.length > 0);
+        } finally {
+            await enumerator.close_async(GLib.PRIORITY_DEFAULT, null);
         }
 
-        // Check if all cells are free (ignoring the dragged icon's current cells)
-        for (let c = col; c < col + cols; c++) {
-            for (let r = row; r < row + rows; r++) {
-                const cell = this.getCell(c, r);
-                if (!cell) return false;
-                if (cell.icon && cell.icon !== draggedIcon) {
-                    return false;
+        const templates = [];
+        for (const info of infos) {
+            if (info.get_is_hidden() || info.get_is_backup()) continue;
+
+            const file = folder.get_child(info.get_name());
+            const name = info.get_display_name();
+            if (info.get_file_type() === Gio.FileType.DIRECTORY) {
+                const children = await this._readTemplateFolder(file, folders);
+                if (children.length > 0) {
+                    templates.push({ label: name, children });
                 }
+            } else {
+                // Menu labels leave out the extension, like Nautilus
+                const dot = name.lastIndexOf('.');
+                const label = dot > 0 ? name.slice(0, dot) : name;
+                templates.push({ name, label, file, gicon: info.get_icon() });
             }
         }
-
-        return true;
+        return templates.sort((a, b) => a.label.localeCompare(b.label));
     }
 
-    _destroyDropIndicator() {
-        if (this._dropIndicator) {
-            this._dropIndicator.destroy();
-            this._dropIndicator = null;
-        }
-        this._dropTargetCol = undefined;
-        this._dropTargetRow = undefined;
-        this._canDrop = false;
-    }
+    _queueTemplatesRefresh() {
+        if (this._templatesRefreshId) return;
 
-    _getValidBounds() {
-        // Use grid dimensions since icons are positioned relative to grid
-        const grid = this._grid;
-        if (!grid) {
-            return { maxX: 800, maxY: 600 }; // Fallback
-        }
-        const cellWidth = this._getCellWidth();
-        const cellHeight = this._getCellHeight();
-        const maxX = grid.width - cellWidth;
-        const maxY = grid.height - cellHeight;
-        return { maxX: Math.max(0, maxX), maxY: Math.max(0, maxY) };
+        this._templatesRefreshId = GLib.timeout_add(
+            GLib.PRIORITY_DEFAULT,
+            FILE_EVENTS_DELAY,
+            () => {
+                this._templatesRefreshId = null;
+                this._loadTemplates();
+                return GLib.SOURCE_REMOVE;
+            }
+        );
     }
 
-    _saveIconPosition(fileName, col, row) {
-        // Save column and row directly (not pixels)
-        this._iconPositions[fileName] = { col: col, row: row };
-        try {
-            this._settings.set_string('icon-positions', JSON.stringify(this._iconPositions));
-        } catch (e) {
-            log(`Error saving icon position: ${e}`);
+    _clearTemplateMonitors() {
+        for (const monitor of this._templateMonitors) {
+            monitor.cancel();
         }
+        this._templateMonitors = [];
     }
 
-    _getIconPosition(fileName, defaultX, defaultY) {
-        const cellWidth = this._getCellWidth();
-        const cellHeight = this._getCellHeight();
-        const bounds = this._getValidBounds();
+    /**
+     * Copy a template to the Desktop under a new name
+     * @param {DesktopGrid} grid - Grid the cell belongs to
+     * @param {object} [cell] - Cell for the new icon, the first free one otherwise
+     */
+    async _createFromTemplate(template, name, grid, cell) {
+        const error = this._validateFileName(name);
+        if (error) {
+            grid._showAlertDialog('Invalid Name', error);
+            return;
+        }
 
-        if (this._iconPositions[fileName]) {
-            const saved = this._iconPositions[fileName];
+        const destination = Gio.File.new_for_path(this._getDesktopPath()).get_child(name);
+        if (destination.query_exists(null)) {
+            grid._showAlertDialog('File Exists', `An item named "${name}" already exists.`);
+            return;
+        }
 
-            // Handle both old format (x,y pixels) and new format (col,row)
-            let col, row;
-            if (saved.col !== undefined && saved.row !== undefined) {
-                // New format: col/row
-                col = saved.col;
-                row = saved.row;
-            } else {
-                // Old format: x/y pixels - convert to col/row
-                col = Math.round(saved.x / cellWidth);
-                row = Math.round(saved.y / cellHeight);
-            }
+        // The file monitor places the icon at its saved cell, saved under the
+        // name the copy really gets should the name be taken meanwhile
+        const placeFile = (source, target) => {
+            const position = { col: cell.col, row: cell.row, monitor: grid.monitorId };
+            this._saveIconPositions({ [target.get_basename()]: position });
+        };
 
-            // Clamp to valid range
-            const x = Math.max(0, Math.min(col * cellWidth, bounds.maxX));
-            const y = Math.max(0, Math.min(row * cellHeight, bounds.maxY));
-            return { x, y };
-        }
+        const { results } = await this._fileOperations.copy(
+            [[template, destination]],
+            cell ? placeFile : null
+        );
+        if (results.length === 0) return;
 
-        // Snap default position to grid
-        const col = Math.round(defaultX / cellWidth);
-        const row = Math.round(defaultY / cellHeight);
-        return { x: col * cellWidth, y: row * cellHeight };
+        const [[, created]] = results;
+        this._pushUndo(
+            'New Document',
+            () => this._trashFiles([created]),
+            () => this._restoreFromTrash([created])
+        );
     }
 
+    // ===== Opening Files =====
+
     /**
-     * Reload all icons (clear and re-add)
+     * Open icons, handing all files that share a default application to a
+     * single launch of it
+     * Launchers, Trash, Home and files without an application open one by one.
      */
-    _reloadIcons() {
-        // Only save positions if this is not the initial load
-        // (prevents overwriting preset dconf values on first startup)
-        if (!this._initialLoad) {
-            // Save current icon positions before clearing
-            const cellWidth = this._getCellWidth();
-            const cellHeight = this._getCellHeight();
-            for (const icon of this._grid.getIcons()) {
-                // Convert pixel position to col/row
-                const col = Math.round(icon.x / cellWidth);
-                const row = Math.round(icon.y / cellHeight);
-                this._saveIconPosition(icon._fileName, col, row);
+    _openIcons(icons) {
+        const groups = new Map();
+        for (const icon of icons) {
+            const contentType = icon._fileInfo.get_content_type();
+            const app =
+                icon.canOpenWith() && contentType
+                    ? Gio.AppInfo.get_default_for_type(contentType, false)
+                    : null;
+            if (!app) {
+                icon._open();
+                continue;
             }
-        }
 
-        // Clear icons and cell grid
-        this._grid.clearIcons();
-        this._buildCellGrid();
-
-        // Reload from desktop
-        this._loadDesktopFiles();
+            const key = app.get_id() ?? app.get_executable();
+            if (!groups.has(key)) {
+                groups.set(key, { app, icons: [] });
+            }
+            groups.get(key).icons.push(icon);
+        }
 
-        // Mark that initial load is complete
-        this._initialLoad = false;
+        for (const { app, icons: group } of groups.values()) {
+            this._openWith(app, group);
+        }
     }
 
-    _loadDesktopFiles() {
-        const desktopPath = this._getDesktopPath();
-        const desktopDir = Gio.File.new_for_path(desktopPath);
+    /**
+     * Open the files of icons with one launch of an application
+     */
+    _openWith(app, icons) {
+        if (icons.length === 0) return;
 
-        if (!desktopDir.query_exists(null)) {
-            return;
+        // Opening an item acknowledges its notification
+        for (const icon of icons) {
+            icon.dismissNotification();
+            this._onIconActivated(icon);
         }
 
         try {
-            // Add special icons first (Trash, Home)
-            this._addSpecialIcons();
-
-            const enumerator = desktopDir.enumerate_children(
-                'standard::*',
-                Gio.FileQueryInfoFlags.NONE,
+            app.launch(
+                icons.map(icon => icon.getFile()),
                 null
             );
+        } catch (e) {
+            log(`Error opening files with ${app.get_display_name()}: ${e}`);
+            const title = `Could Not Open With ${app.get_display_name()}`;
+            this._primaryGrid?._showAlertDialog(title, e.message);
+        }
+    }
 
-            let fileInfo;
-
-            while ((fileInfo = enumerator.next_file(null)) !== null) {
-                const name = fileInfo.get_name();
-
-                // Skip hidden files
-                if (name.startsWith('.')) continue;
-
-                // Store file reference in the file info
-                const file = desktopDir.get_child(name);
-                fileInfo.set_attribute_object('standard::file', file);
-
-                // Create icon first to know its cell size
-                const icon = new DesktopIcon(fileInfo, this, name);
-                const iconCellSize = icon._cellSize || { cols: 1, rows: 1 };
-
-                // Try to get saved position
-                let targetCol = 0;
-                let targetRow = 0;
-
-                if (this._iconPositions[name]) {
-                    const saved = this._iconPositions[name];
-                    // Handle both old format (x,y pixels) and new format (col,row)
-                    if (saved.col !== undefined && saved.row !== undefined) {
-                        // New format: col/row
-                        targetCol = saved.col;
-                        targetRow = saved.row;
-                    } else if (saved.x !== undefined && saved.y !== undefined) {
-                        // Old format: x/y pixels - convert to col/row
-                        const cellWidth = this._getCellWidth();
-                        const cellHeight = this._getCellHeight();
-                        targetCol = Math.floor(saved.x / cellWidth);
-                        targetRow = Math.floor(saved.y / cellHeight);
-                    }
-                }
+    /**
+     * Make an application the default for a content type
+     */
+    _setDefaultApp(app, contentType) {
+        try {
+            app.set_as_default_for_type(contentType);
+        } catch (e) {
+            log(`Error setting default application for ${contentType}: ${e}`);
+            const title = 'Could Not Change the Default Application';
+            this._primaryGrid?._showAlertDialog(title, e.message);
+        }
+    }
 
-                // Find a free cell (saved position or first available)
-                let freeCell = null;
-                if (this.areCellsFree(targetCol, targetRow, iconCellSize)) {
-                    freeCell = { col: targetCol, row: targetRow };
-                } else {
-                    freeCell = this.findFreeCell(iconCellSize);
-                }
+    /**
+     * Set whether a .desktop launcher may run ("Allow Launching")
+     * Trusting also makes it executable wherever it is readable.
+     * @returns {Promise<boolean>} true once the change is stored
+     */
+    async _setLauncherTrusted(icon, trusted) {
+        const changes = new Gio.FileInfo();
+        changes.set_attribute_string('metadata::trusted', trusted ? 'true' : 'false');
+        if (trusted) {
+            const mode = icon._fileInfo.get_attribute_uint32('unix::mode');
+            changes.set_attribute_uint32('unix::mode', mode | ((mode & 0o444) >> 2));
+        }
 
-                if (freeCell) {
-                    const cell = this.getCell(freeCell.col, freeCell.row);
-                    if (cell) {
-                        this._grid.addIcon(icon, cell.x, cell.y);
-                        this.placeIconInCell(icon, freeCell.col, freeCell.row);
-                        log(`[Obision] Loaded ${name} at cell (${freeCell.col}, ${freeCell.row})`);
-                    }
-                } else {
-                    // No free cell, add at 0,0 (shouldn't happen normally)
-                    this._grid.addIcon(icon, 0, 0);
-                    log(`[Obision] Warning: No free cell for ${name}`);
-                }
-            }
+        try {
+            await icon
+                .getFile()
+                .set_attributes_async(
+                    changes,
+                    Gio.FileQueryInfoFlags.NONE,
+                    GLib.PRIORITY_DEFAULT,
+                    this._cancellable
+                );
         } catch (e) {
-            log(`Error loading desktop files: ${e}`);
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) return false;
+            log(`Error changing trust of ${icon._fileName}: ${e}`);
+            this._primaryGrid?._showAlertDialog('Could Not Change Launcher Permissions', e.message);
+            return false;
+        }
+
+        // Metadata changes raise no file monitor event, so refresh the icon here
+        const fileInfo = icon._fileInfo;
+        fileInfo.set_attribute_string('metadata::trusted', trusted ? 'true' : 'false');
+        if (trusted) {
+            fileInfo.set_attribute_boolean('access::can-execute', true);
         }
+        icon.updateFileInfo(fileInfo, icon._fileName);
+        return true;
     }
 
-    _setupFileMonitor() {
-        const desktopPath = this._getDesktopPath();
-        const desktopDir = Gio.File.new_for_path(desktopPath);
+    // ===== Clipboard =====
 
-        if (!desktopDir.query_exists(null)) {
-            return;
-        }
+    /**
+     * Put the files of icons on the clipboard the way Nautilus does
+     * @param {DesktopIcon[]} icons - Trash and Home are left out
+     * @param {boolean} cut - Paste moves the files instead of copying them
+     */
+    _copyIcons(icons, cut) {
+        const uris = icons.filter(icon => !icon.isSpecial()).map(icon => icon.getFile().get_uri());
+        if (uris.length === 0) return;
+
+        const text = [cut ? 'cut' : 'copy', ...uris].join('\n');
+        St.Clipboard.get_default().set_content(
+            St.ClipboardType.CLIPBOARD,
+            COPIED_FILES_MIME_TYPE,
+            new GLib.Bytes(new TextEncoder().encode(text))
+        );
+    }
 
-        try {
-            this._fileMonitor = desktopDir.monitor_directory(
-                Gio.FileMonitorFlags.WATCH_MOVES,
-                null
+    _hasCopiedFiles() {
+        const mimeTypes = St.Clipboard.get_default().get_mimetypes(St.ClipboardType.CLIPBOARD);
+        return mimeTypes.includes(COPIED_FILES_MIME_TYPE);
+    }
+
+    /**
+     * Copy or move the files on the clipboard into the Desktop directory
+     * @param {DesktopGrid} [grid] - Grid the cell belongs to
+     * @param {number} [col] - Column to place the first file at
+     * @param {number} [row] - Row to place the first file at
+     */
+    async _paste(grid = null, col = undefined, row = undefined) {
+        const bytes = await new Promise(resolve => {
+            St.Clipboard.get_default().get_content(
+                St.ClipboardType.CLIPBOARD,
+                COPIED_FILES_MIME_TYPE,
+                (clipboard, content) => resolve(content)
             );
+        });
+        const data = bytes?.get_size() ? new TextDecoder().decode(bytes.toArray()) : '';
+        const [action, ...uris] = data.split('\n').filter(line => line.length > 0);
+        if (action !== 'copy' && action !== 'cut') return;
 
-            this._fileMonitor.connect('changed', (monitor, file, otherFile, eventType) => {
-                // Log the event for debugging
-                const eventNames = {
-                    [Gio.FileMonitorEvent.CREATED]: 'CREATED',
-                    [Gio.FileMonitorEvent.DELETED]: 'DELETED',
-                    [Gio.FileMonitorEvent.MOVED_IN]: 'MOVED_IN',
-                    [Gio.FileMonitorEvent.MOVED_OUT]: 'MOVED_OUT',
-                };
-                log(`[Obision] FileMonitor event: ${eventNames[eventType] || eventType} for ${file.get_basename()}`);
+        const cut = action === 'cut';
+        const sources = uris.map(uri => Gio.File.new_for_uri(uri));
+        const done = await this._transferToDesktop('Paste', sources, cut, grid, col, row);
 
-                // Reload icons when directory changes
-                if (
-                    eventType === Gio.FileMonitorEvent.CREATED ||
-                    eventType === Gio.FileMonitorEvent.DELETED ||
-                    eventType === Gio.FileMonitorEvent.MOVED_IN ||
-                    eventType === Gio.FileMonitorEvent.MOVED_OUT
-                ) {
-                    // If we're creating a folder and this is a CREATED event, handle it specially
-                    if (this._creatingFolder && eventType === Gio.FileMonitorEvent.CREATED) {
-                        // Just add the new icon without clearing everything
-                        if (this._reloadTimeout) {
-                            GLib.source_remove(this._reloadTimeout);
-                        }
-                        this._reloadTimeout = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 200, () => {
-                            try {
-                                // Query with content type attribute to ensure proper icon association
-                                const fileInfo = file.query_info(
-                                    'standard::*,standard::content-type',
-                                    Gio.FileQueryInfoFlags.NONE,
-                                    null
-                                );
-                                const fileName = fileInfo.get_name();
-
-                                // Check if icon already exists
-                                const existingIcons = this._grid.getIcons();
-                                const exists = existingIcons.some(icon => icon.getFileName() === fileName);
-
-                                if (!exists) {
-                                    const icon = new DesktopIcon(fileInfo, this, fileName);
-                                    const iconCellSize = this._getIconCellSize(fileName);
-                                    const freeCell = this.findFreeCell(iconCellSize);
-
-                                    if (freeCell) {
-                                        const cellWidth = this._getCellWidth();
-                                        const cellHeight = this._getCellHeight();
-                                        const x = freeCell.col * cellWidth;
-                                        const y = freeCell.row * cellHeight;
-
-                                        this._grid.addIcon(icon, x, y);
-                                        this.placeIconInCell(icon, freeCell.col, freeCell.row);
-                                        // Save position for newly created file/folder
-                                        this._saveIconPosition(fileName, freeCell.col, freeCell.row);
-                                        log(`[Obision] Added new icon ${fileName} at (${freeCell.col}, ${freeCell.row}) and saved position`);
-                                    }
-                                }
-                            } catch (e) {
-                                log(`[Obision] Error adding new icon: ${e}`);
-                            }
-                            this._reloadTimeout = null;
-                            return GLib.SOURCE_REMOVE;
-                        });
-                        return;
-                    }
+        // Cut files can only be pasted once
+        if (cut && done.length > 0) {
+            St.Clipboard.get_default().set_text(St.ClipboardType.CLIPBOARD, '');
+        }
+    }
 
-                    // If this is a DELETED or MOVED_OUT event, just remove the specific icon without reloading
-                    if (eventType === Gio.FileMonitorEvent.DELETED || eventType === Gio.FileMonitorEvent.MOVED_OUT) {
-                        if (this._reloadTimeout) {
-                            GLib.source_remove(this._reloadTimeout);
-                        }
-                        this._reloadTimeout = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 200, () => {
-                            try {
-                                const fileName = file.get_basename();
-                                log(`[Obision] File removed/moved out: ${fileName}`);
-                                const existingIcons = this._grid.getIcons();
-                                const iconToRemove = existingIcons.find(icon => icon.getFileName() === fileName);
-
-                                if (iconToRemove) {
-                                    log(`[Obision] Found icon to remove: ${fileName}`);
-                                    // Free the cells occupied by this icon
-                                    const cellSize = iconToRemove._cellSize;
-                                    const [iconX, iconY] = iconToRemove.get_position();
-                                    const cellWidth = this._getCellWidth();
-                                    const cellHeight = this._getCellHeight();
-                                    const col = Math.round(iconX / cellWidth);
-                                    const row = Math.round(iconY / cellHeight);
-
-                                    // Free cells
-                                    for (let c = col; c < col + cellSize.cols && c < this._cells.length; c++) {
-                                        for (let r = row; r < row + cellSize.rows && r < this._cells[c].length; r++) {
-                                            this._cells[c][r].occupied = false;
-                                            this._cells[c][r].icon = null;
-                                        }
-                                    }
-
-                                    // Remove the icon from grid
-                                    this._grid.removeIcon(iconToRemove);
-                                    log(`[Obision] Removed icon ${fileName} without moving others`);
-                                } else {
-                                    log(`[Obision] Icon not found in grid: ${fileName}`);
-                                }
-                            } catch (e) {
-                                log(`[Obision] Error removing icon: ${e}`);
-                            }
-                            this._reloadTimeout = null;
-                            return GLib.SOURCE_REMOVE;
-                        });
-                        return;
-                    }
+    // ===== Bringing Files to the Desktop =====
 
-                    // Normal reload for other cases
-                    if (this._reloadTimeout) {
-                        GLib.source_remove(this._reloadTimeout);
-                    }
-                    this._reloadTimeout = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 500, () => {
-                        this._grid.clearIcons();
-                        this._loadDesktopFiles();
-                        this._reloadTimeout = null;
-                        return GLib.SOURCE_REMOVE;
-                    });
+    /**
+     * Copy or move files into the Desktop directory as one undoable action
+     * With a cell, the new icons are placed from that cell on; otherwise
+     * they take the first free cells.
+     * @param {string} label - Names the action in the undo menu
+     * @param {Gio.File[]} sources - The files to bring to the Desktop
+     * @param {boolean} move - Move rather than copy
+     * @param {DesktopGrid} [grid] - Grid the cell belongs to
+     * @param {number} [col] - Column to place the first file at
+     * @param {number} [row] - Row to place the first file at
+     * @returns {Promise<Array>} The [source, destination] pairs that went through
+     */
+    async _transferToDesktop(label, sources, move, grid = null, col = undefined, row = undefined) {
+        const desktopDir = Gio.File.new_for_path(this._getDesktopPath());
+
+        // Files moved from the desktop are already where they would go, and
+        // copies of desktop files get a new name; other name conflicts are
+        // asked about by the file operations
+        const pairs = [];
+        for (const source of sources) {
+            const name = source.get_basename();
+            if (!desktopDir.equal(source.get_parent())) {
+                pairs.push([source, desktopDir.get_child(name)]);
+            } else if (!move) {
+                pairs.push([source, this._fileOperations.getFreeChild(desktopDir, name)]);
+            }
+        }
+        if (pairs.length === 0) return [];
+
+        // Each new file gets the next cell under the name it will really
+        // have, saved before it lands so the file monitor places its icon
+        // there; skipped and replaced files leave the layout alone
+        let placeFile = null;
+        if (grid && col !== undefined && row !== undefined) {
+            const cells = this._findDropCells(grid, col, row, pairs.length);
+            placeFile = (source, destination) => {
+                const cell = cells.shift();
+                if (cell) {
+                    const position = { ...cell, monitor: grid.monitorId };
+                    this._saveIconPositions({ [destination.get_basename()]: position });
                 }
-            });
-        } catch (e) {
-            log(`Error setting up file monitor: ${e}`);
+            };
         }
-    }
 
-    _deselectAll() {
-        for (const icon of this._grid.getIcons()) {
-            icon.deselect();
+        const { results: done } = move
+            ? await this._fileOperations.move(pairs, placeFile)
+            : await this._fileOperations.copy(pairs, placeFile);
+        if (done.length === 0) return done;
+
+        const destinations = done.map(([, destination]) => destination);
+        if (move) {
+            this._pushMoveUndo(label, done);
+        } else {
+            this._pushUndo(
+                label,
+                () => this._trashFiles(destinations),
+                () => this._restoreFromTrash(destinations)
+            );
         }
+        return done;
     }
 
-    _addSpecialIcons() {
-        // Add Trash icon if enabled
-        if (this._settings.get_boolean('show-trash')) {
-            this._addTrashIcon();
+    /**
+     * Free cells for dropped or pasted files, in reading order from a start cell
+     */
+    _findDropCells(grid, col, row, count) {
+        const columns = this._settings.get_int('grid-columns');
+        const rows = this._settings.get_int('grid-rows');
+        const cells = [];
+
+        const last = columns * rows;
+        for (let index = row * columns + col; index < last && cells.length < count; index++) {
+            const cell = { col: index % columns, row: Math.floor(index / columns) };
+            if (grid.areCellsFree(cell.col, cell.row, { cols: 1, rows: 1 })) {
+                cells.push(cell);
+            }
         }
+        return cells;
+    }
 
-        // Add Home icon if enabled
-        if (this._settings.get_boolean('show-home')) {
-            this._addHomeIcon();
+    /**
+     * Add or remove the Trash and Home icons to match their settings
+     */
+    async _syncSpecialIcons(cancellable) {
+        const specialIcons = [
+            { name: '___TRASH___', key: 'show-trash', add: () => this._addTrashIcon(cancellable) },
+            { name: '___HOME___', key: 'show-home', add: () => this._addHomeIcon(cancellable) },
+        ];
+
+        for (const { name, key, add } of specialIcons) {
+            const icon = this._findIconByName(name);
+            const wanted = this._settings.get_boolean(key);
+
+            if (wanted && !icon) {
+                await add();
+            } else if (!wanted && icon) {
+                this._removeIcon(icon);
+            }
         }
     }
 
-    _addTrashIcon() {
+    async _addTrashIcon(cancellable) {
         try {
             const trashFile = Gio.File.new_for_uri('trash:///');
-            const fileInfo = trashFile.query_info(
+            const fileInfo = await trashFile.query_info_async(
                 'standard::*',
                 Gio.FileQueryInfoFlags.NONE,
-                null
+                GLib.PRIORITY_DEFAULT,
+                cancellable
             );
 
             // Set special properties for Trash - use system translation
@@ -3055,59 +8166,24 @@ export default class ObisionExtDeskGrid extends Extension {
             fileInfo.set_attribute_object('standard::file', trashFile);
             fileInfo.set_attribute_boolean('special::is-trash', true);
 
-            const iconName = 'user-trash';
             const name = '___TRASH___'; // Internal name
 
-            // Create icon with trash icon
-            const icon = new DesktopIcon(fileInfo, this, name);
-            const iconCellSize = icon._cellSize || { cols: 1, rows: 1 };
-
-            // Try to get saved position
-            let targetCol = 0;
-            let targetRow = 0;
-
-            if (this._iconPositions[name]) {
-                const saved = this._iconPositions[name];
-                if (saved.col !== undefined && saved.row !== undefined) {
-                    targetCol = saved.col;
-                    targetRow = saved.row;
-                } else if (saved.x !== undefined && saved.y !== undefined) {
-                    const cellWidth = this._getCellWidth();
-                    const cellHeight = this._getCellHeight();
-                    targetCol = Math.floor(saved.x / cellWidth);
-                    targetRow = Math.floor(saved.y / cellHeight);
-                }
-            }
-
-            // Find a free cell
-            let freeCell = null;
-            if (this.areCellsFree(targetCol, targetRow, iconCellSize)) {
-                freeCell = { col: targetCol, row: targetRow };
-            } else {
-                freeCell = this.findFreeCell(iconCellSize);
-            }
-
-            if (freeCell) {
-                const cell = this.getCell(freeCell.col, freeCell.row);
-                if (cell) {
-                    this._grid.addIcon(icon, cell.x, cell.y);
-                    this.placeIconInCell(icon, freeCell.col, freeCell.row);
-                }
-            } else {
-                this._grid.addIcon(icon, 0, 0);
-            }
+            // Create icon with trash icon at its saved cell or the first free one
+            this._placeLoadedIcon(new DesktopIcon(fileInfo, this, name));
         } catch (e) {
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) throw e;
             log(`Error adding trash icon: ${e}`);
         }
     }
 
-    _addHomeIcon() {
+    async _addHomeIcon(cancellable) {
         try {
             const homeFile = Gio.File.new_for_path(GLib.get_home_dir());
-            const fileInfo = homeFile.query_info(
+            const fileInfo = await homeFile.query_info_async(
                 'standard::*',
                 Gio.FileQueryInfoFlags.NONE,
-                null
+                GLib.PRIORITY_DEFAULT,
+                cancellable
             );
 
             // Set localized name for Home folder
@@ -3118,45 +8194,10 @@ export default class ObisionExtDeskGrid extends Extension {
 
             const name = '___HOME___'; // Internal name
 
-            // Create icon
-            const icon = new DesktopIcon(fileInfo, this, name);
-            const iconCellSize = icon._cellSize || { cols: 1, rows: 1 };
-
-            // Try to get saved position
-            let targetCol = 0;
-            let targetRow = 0;
-
-            if (this._iconPositions[name]) {
-                const saved = this._iconPositions[name];
-                if (saved.col !== undefined && saved.row !== undefined) {
-                    targetCol = saved.col;
-                    targetRow = saved.row;
-                } else if (saved.x !== undefined && saved.y !== undefined) {
-                    const cellWidth = this._getCellWidth();
-                    const cellHeight = this._getCellHeight();
-                    targetCol = Math.floor(saved.x / cellWidth);
-                    targetRow = Math.floor(saved.y / cellHeight);
-                }
-            }
-
-            // Find a free cell
-            let freeCell = null;
-            if (this.areCellsFree(targetCol, targetRow, iconCellSize)) {
-                freeCell = { col: targetCol, row: targetRow };
-            } else {
-                freeCell = this.findFreeCell(iconCellSize);
-            }
-
-            if (freeCell) {
-                const cell = this.getCell(freeCell.col, freeCell.row);
-                if (cell) {
-                    this._grid.addIcon(icon, cell.x, cell.y);
-                    this.placeIconInCell(icon, freeCell.col, freeCell.row);
-                }
-            } else {
-                this._grid.addIcon(icon, 0, 0);
-            }
+            // Create icon at its saved cell or the first free one
+            this._placeLoadedIcon(new DesktopIcon(fileInfo, this, name));
         } catch (e) {
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) throw e;
             log(`Error adding home icon: ${e}`);
         }
     }
@@ -0,0 +1,356 @@
+#!/usr/bin/env -S gjs -m
+// Obision Desk command-line client
+//
+// Talks to the running extension over D-Bus (com.obision.DeskGrid). When
+// GNOME Shell is not running, layout commands write the extension settings
+// directly so provisioning scripts can lay out a desktop ahead of time.
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+import System from 'system';
+
+const DBUS_NAME = 'com.obision.DeskGrid';
+const DBUS_PATH = '/com/obision/DeskGrid';
+const SCHEMA_ID = 'com.obision.ext.desk-grid';
+const EXTENSION_UUID = 'obision-ext-desk-grid@obision.com';
+
+const LEVELS = ['silent', 'subtle', 'normal', 'attention', 'critical'];
+const BACKGROUNDS = ['none', 'light', 'dark', 'accent'];
+// Keys of ICON_CELL_SIZES in extension.js
+const SIZES = '1x1 2x1 1x2 2x2 3x1 1x3 3x2 2x3 3x3 4x1 1x4 4x2 2x4 4x4'.split(' ');
+
+// Options that take no value
+const FLAGS = ['all', 'json', 'pulse', 'help'];
+
+const USAGE = `Usage: obision-desk <command> [arguments]
+
+Commands:
+  notify <file> [--level LEVEL] [--message TEXT] [--duration MS] [--badge N] [--pulse]
+  dismiss <file> | --all
+  place <file> <col> <row> [--size WxH] [--monitor ID]
+  size <file> <WxH>
+  elevation <file> <0-3>
+  background <file> <${BACKGROUNDS.join('|')}>
+  widget <file> <on|off>
+  list [--json]
+
+Levels: ${LEVELS.join(', ')}
+Sizes: ${SIZES.join(', ')}
+Use ___TRASH___ and ___HOME___ for the Trash and Home icons.`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const name = arg.slice(2);
+        if (FLAGS.includes(name)) {
+            options[name] = true;
+        } else if (i + 1 < argv.length) {
+            options[name] = argv[++i];
+        } else {
+            throw new UsageError(`Missing value for ${arg}`);
+        }
+    }
+
+    return { positional, options };
+}
+
+function parseInteger(value, what) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new UsageError(`${what} must be a non-negative integer, got "${value}"`);
+    }
+    return number;
+}
+
+// ===== Running extension (D-Bus) =====
+
+function isExtensionRunning() {
+    try {
+        const reply = Gio.DBus.session.call_sync(
+            'org.freedesktop.DBus',
+            '/org/freedesktop/DBus',
+            'org.freedesktop.DBus',
+            'NameHasOwner',
+            new GLib.Variant('(s)', [DBUS_NAME]),
+            new GLib.VariantType('(b)'),
+            Gio.DBusCallFlags.NONE,
+            -1,
+            null
+        );
+        return reply.deepUnpack()[0];
+    } catch (e) {
+        return false;
+    }
+}
+
+function callExtension(method, signature = null, values = [], replyType = null) {
+    const reply = Gio.DBus.session.call_sync(
+        DBUS_NAME,
+        DBUS_PATH,
+        DBUS_NAME,
+        method,
+        signature ? new GLib.Variant(signature, values) : null,
+        replyType ? new GLib.VariantType(replyType) : null,
+        Gio.DBusCallFlags.NONE,
+        -1,
+        null
+    );
+    return reply.deepUnpack();
+}
+
+// ===== Offline (GSettings) =====
+
+/**
+ * Settings of the extension, loading its schema from the install directory
+ * when it is not installed system-wide
+ */
+function getSettings() {
+    const defaultSource = Gio.SettingsSchemaSource.get_default();
+    let schema = defaultSource ? defaultSource.lookup(SCHEMA_ID, true) : null;
+
+    const scriptDir = GLib.path_get_dirname(Gio.File.new_for_uri(import.meta.url).get_path());
+    const schemaDirs = [
+        GLib.build_filenamev([scriptDir, 'schemas']),
+        GLib.build_filenamev([
+            GLib.get_user_data_dir(),
+            'gnome-shell',
+            'extensions',
+            EXTENSION_UUID,
+            'schemas',
+        ]),
+        GLib.build_filenamev(['/usr/share/gnome-shell/extensions', EXTENSION_UUID, 'schemas']),
+    ];
+
+    for (const dir of schemaDirs) {
+        if (schema) break;
+        try {
+            const source = Gio.SettingsSchemaSource.new_from_directory(dir, defaultSource, false);
+            schema = source.lookup(SCHEMA_ID, false);
+        } catch (e) {
+            // No compiled schema there
+        }
+    }
+
+    if (!schema) {
+        throw new Error(`Settings schema ${SCHEMA_ID} not found, is the extension installed?`);
+    }
+    return new Gio.Settings({ settings_schema: schema });
+}
+
+function readMap(settings, key) {
+    try {
+        return JSON.parse(settings.get_string(key)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Set or (with undefined) remove a file's entry in a JSON map setting
+ */
+function updateMap(settings, key, fileName, value) {
+    const map = readMap(settings, key);
+    if (value === undefined) {
+        delete map[fileName];
+    } else {
+        map[fileName] = value;
+    }
+    settings.set_string(key, JSON.stringify(map));
+}
+
+// ===== Commands =====
+
+function notify([fileName], options) {
+    if (!fileName) throw new UsageError('notify needs a file name');
+
+    const level = options.level ?? 'normal';
+    if (!LEVELS.includes(level)) throw new UsageError(`Unknown level "${level}"`);
+
+    const notifyOptions = { urgency: new GLib.Variant('s', level) };
+    if (options.message) notifyOptions.message = new GLib.Variant('s', options.message);
+    if (options.duration) {
+        notifyOptions.duration = new GLib.Variant('i', parseInteger(options.duration, 'Duration'));
+    }
+    if (options.badge) {
+        notifyOptions.badge = new GLib.Variant('i', parseInteger(options.badge, 'Badge'));
+    }
+    if (options.pulse) notifyOptions.pulse = new GLib.Variant('b', true);
+
+    const [found] = callExtension('Notify', '(sa{sv})', [fileName, notifyOptions], '(b)');
+    if (!found) {
+        throw new Error(`No desktop icon named "${fileName}"`);
+    }
+}
+
+function dismiss([fileName], options) {
+    if (options.all) {
+        callExtension('DismissAll');
+    } else if (fileName) {
+        callExtension('Dismiss', '(s)', [fileName]);
+    } else {
+        throw new UsageError('dismiss needs a file name or --all');
+    }
+}
+
+function place([fileName, col, row], options, running) {
+    if (!fileName || col === undefined || row === undefined) {
+        throw new UsageError('place needs a file name, a column and a row');
+    }
+    col = parseInteger(col, 'Column');
+    row = parseInteger(row, 'Row');
+
+    // The running extension places icons on the monitor they are on
+    if (running && options.monitor) {
+        throw new UsageError('--monitor only applies while GNOME Shell is not running');
+    }
+
+    // Resize first so the new footprint is checked at the target cell
+    if (options.size) {
+        size([fileName, options.size], options, running);
+    }
+
+    if (running) {
+        callExtension('PlaceIcon', '(sii)', [fileName, col, row]);
+    } else {
+        // Without --monitor the icon stays on its saved monitor, and icons
+        // without one go to the primary monitor
+        const settings = getSettings();
+        const monitor = options.monitor ?? readMap(settings, 'icon-positions')[fileName]?.monitor;
+        const position = monitor ? { col, row, monitor } : { col, row };
+        updateMap(settings, 'icon-positions', fileName, position);
+    }
+}
+
+function size([fileName, sizeKey], options, running) {
+    if (!fileName || !SIZES.includes(sizeKey)) {
+        throw new UsageError(`size needs a file name and one of ${SIZES.join(', ')}`);
+    }
+
+    if (running) {
+        callExtension('SetIconSize', '(ss)', [fileName, sizeKey]);
+    } else {
+        updateMap(getSettings(), 'custom-icon-sizes', fileName, sizeKey);
+    }
+}
+
+function elevation([fileName, level], options, running) {
+    if (!fileName || level === undefined) {
+        throw new UsageError('elevation needs a file name and a level');
+    }
+    level = parseInteger(level, 'Elevation');
+    if (level > 3) throw new UsageError('Elevation must be between 0 and 3');
+
+    if (running) {
+        callExtension('SetIconElevation', '(si)', [fileName, level]);
+    } else {
+        // Like the extension, the default level is stored as no entry
+        const settings = getSettings();
+        const isDefault = level === settings.get_int('default-elevation');
+        updateMap(settings, 'icon-elevations', fileName, isDefault ? undefined : level);
+    }
+}
+
+function background([fileName, style], options, running) {
+    if (!fileName || !BACKGROUNDS.includes(style)) {
+        throw new UsageError(`background needs a file name and one of ${BACKGROUNDS.join(', ')}`);
+    }
+
+    if (running) {
+        callExtension('SetIconBackground', '(ss)', [fileName, style]);
+    } else {
+        const settings = getSettings();
+        const isDefault = style === settings.get_string('default-background');
+        updateMap(settings, 'icon-backgrounds', fileName, isDefault ? undefined : style);
+    }
+}
+
+function widget([fileName, state], options, running) {
+    if (!fileName || !['on', 'off'].includes(state)) {
+        throw new UsageError('widget needs a file name and on or off');
+    }
+    const enabled = state === 'on';
+
+    if (running) {
+        callExtension('SetIconWidget', '(sb)', [fileName, enabled]);
+    } else {
+        updateMap(getSettings(), 'icon-widgets', fileName, enabled ? true : undefined);
+    }
+}
+
+function list(args, options, running) {
+    let icons;
+    if (running) {
+        const [entries] = callExtension('ListIcons', null, [], '(a(siiii))');
+        icons = entries.map(([name, col, row, cols, rows]) => ({ name, col, row, cols, rows }));
+    } else {
+        // Only icons with a saved position are known without the shell
+        const settings = getSettings();
+        const positions = readMap(settings, 'icon-positions');
+        const sizes = readMap(settings, 'custom-icon-sizes');
+        icons = Object.entries(positions).map(([name, { col, row }]) => {
+            const [cols, rows] = (sizes[name] ?? '1x1').split('x').map(Number);
+            return { name, col, row, cols, rows };
+        });
+    }
+
+    if (options.json) {
+        print(JSON.stringify(icons, null, 2));
+        return;
+    }
+    for (const { name, col, row, cols, rows } of icons) {
+        print(`${name}\t${col},${row}\t${cols}x${rows}`);
+    }
+}
+
+const COMMANDS = { notify, dismiss, place, size, elevation, background, widget, list };
+
+// Commands that need GNOME Shell to be running
+const LIVE_ONLY = ['notify', 'dismiss'];
+
+function main(argv) {
+    const [command, ...rest] = argv;
+    if (!command || command === '--help' || command === 'help') {
+        print(USAGE);
+        return 0;
+    }
+
+    try {
+        const handler = COMMANDS[command];
+        if (!handler) throw new UsageError(`Unknown command "${command}"`);
+
+        const { positional, options } = parseArgs(rest);
+        const running = isExtensionRunning();
+        if (!running && LIVE_ONLY.includes(command)) {
+            throw new Error('Obision Desk is not running in this session');
+        }
+
+        handler(positional, options, running);
+        if (!running) {
+            // Flush settings writes before exiting
+            Gio.Settings.sync();
+        }
+        return 0;
+    } catch (e) {
+        if (e instanceof GLib.Error) {
+            Gio.DBusError.strip_remote_error(e);
+        }
+        printerr(`obision-desk: ${e.message}`);
+        if (e instanceof UsageError) {
+            printerr(USAGE);
+            return 2;
+        }
+        return 1;
+    }
+}
+
+System.exit(main(ARGV));
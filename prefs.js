@@ -230,5 +230,102 @@ export default class ObisionExtDeskGridPreferences extends ExtensionPreferences
         });
         behaviorGroup.add(showHomeRow);
         settings.bind('show-home', showHomeRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+
+        // Show Thumbnails
+        const thumbnailsRow = new Adw.SwitchRow({
+            title: 'Show Thumbnails',
+            subtitle: 'Preview images, documents and videos',
+        });
+        behaviorGroup.add(thumbnailsRow);
+        settings.bind('show-thumbnails', thumbnailsRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+
+        // Sort By
+        const sortByRow = new Adw.ComboRow({
+            title: 'Sort By',
+            subtitle: 'Order used by Arrange by and Keep Arranged',
+        });
+        const sortModel = new Gtk.StringList();
+        sortModel.append('Name');
+        sortModel.append('Modified');
+        sortModel.append('Size');
+        sortModel.append('Type');
+        sortByRow.set_model(sortModel);
+
+        const sortMap = { name: 0, modified: 1, size: 2, type: 3 };
+        const reverseSortMap = ['name', 'modified', 'size', 'type'];
+        const currentSort = settings.get_string('sort-by');
+        sortByRow.set_selected(sortMap[currentSort] ?? 0);
+
+        sortByRow.connect('notify::selected', () => {
+            const selected = sortByRow.get_selected();
+            settings.set_string('sort-by', reverseSortMap[selected]);
+        });
+        behaviorGroup.add(sortByRow);
+
+        // Keep Arranged
+        const keepArrangedRow = new Adw.SwitchRow({
+            title: 'Keep Arranged',
+            subtitle: 'Re-arrange icons automatically when files are added',
+        });
+        behaviorGroup.add(keepArrangedRow);
+        settings.bind('keep-arranged', keepArrangedRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+
+        // Overflow Strategy
+        const overflowRow = new Adw.ComboRow({
+            title: 'When the Grid Is Full',
+            subtitle: 'What happens to icons that find no free cell',
+        });
+        const overflowModel = new Gtk.StringList();
+        overflowModel.append('Stack in an Overflow Tile');
+        overflowModel.append('Shrink Large Tiles to 1x1');
+        overflowModel.append('Grow the Grid');
+        overflowRow.set_model(overflowModel);
+
+        const overflowStrategies = ['stack', 'shrink', 'grow'];
+        const currentOverflow = settings.get_string('overflow-strategy');
+        overflowRow.set_selected(Math.max(0, overflowStrategies.indexOf(currentOverflow)));
+
+        overflowRow.connect('notify::selected', () => {
+            const selected = overflowRow.get_selected();
+            settings.set_string('overflow-strategy', overflowStrategies[selected]);
+        });
+        behaviorGroup.add(overflowRow);
+
+        // Notifications Group
+        const notificationsGroup = new Adw.PreferencesGroup({
+            title: 'Notifications',
+            description: 'How icons show notifications from applications',
+        });
+        page.add(notificationsGroup);
+
+        // Do Not Disturb
+        const doNotDisturbRow = new Adw.SwitchRow({
+            title: 'Do Not Disturb',
+            subtitle: 'Only show badges, no glow, pulse or message bubbles',
+        });
+        notificationsGroup.add(doNotDisturbRow);
+        settings.bind('do-not-disturb', doNotDisturbRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+
+        // Maximum Notification Level
+        const maxLevelRow = new Adw.ComboRow({
+            title: 'Maximum Level',
+            subtitle: 'More urgent notifications are shown at this level',
+        });
+        const levelModel = new Gtk.StringList();
+        levelModel.append('Silent');
+        levelModel.append('Subtle');
+        levelModel.append('Normal');
+        levelModel.append('Attention');
+        levelModel.append('Critical');
+        maxLevelRow.set_model(levelModel);
+
+        const levels = ['silent', 'subtle', 'normal', 'attention', 'critical'];
+        const currentLevel = levels.indexOf(settings.get_string('max-notification-level'));
+        maxLevelRow.set_selected(currentLevel >= 0 ? currentLevel : levels.length - 1);
+
+        maxLevelRow.connect('notify::selected', () => {
+            settings.set_string('max-notification-level', levels[maxLevelRow.get_selected()]);
+        });
+        notificationsGroup.add(maxLevelRow);
     }
 }